@@ -0,0 +1,4 @@
+const { runCli } = require("./lib/cli");
+
+// Same as `spotlights explain`, kept for the npm scripts and workflows
+runCli(["explain", ...process.argv.slice(2)]);
@@ -0,0 +1,232 @@
+/**
+ * Local copies of the remote assets pages use (TMDB posters and Google Fonts),
+ * so screenshots don't depend on those hosts being up or fast
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ROOT_DIR, writeOutputFile } = require("./output");
+
+// Downloads are kept here between runs (or SPOTLIGHT_ASSET_CACHE_DIR)
+const DEFAULT_CACHE_DIR = path.join(ROOT_DIR, "cache", "assets");
+// Pages get their copies from site/<LOCAL_ASSETS_DIR>/
+const LOCAL_ASSETS_DIR = "local-assets";
+// Shown instead of a poster that can't be loaded, relative to site/
+const PLACEHOLDER_POSTER = "../assets/poster-placeholder.svg";
+const DOWNLOAD_TIMEOUT_MS = 30000;
+// Google Fonts only serves woff2 to browsers it recognises
+const FONT_USER_AGENT =
+  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+const POSTER_URL_PATTERN = /https:\/\/image\.tmdb\.org\/t\/p\/[^"'\s)]+/g;
+const FONT_STYLESHEET_PATTERN =
+  /<link\s[^>]*href="(https:\/\/fonts\.googleapis\.com\/[^"]+)"[^>]*>/g;
+const FONT_PRECONNECT_PATTERN =
+  /\s*<link\s+rel="preconnect"\s+href="https:\/\/fonts\.(googleapis|gstatic)\.com"[^>]*>/g;
+const FONT_FILE_PATTERN = /url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g;
+
+/**
+ * Resolve the download cache directory
+ * @param {string} [cacheDir] - Explicit cache directory
+ */
+function resolveCacheDir(cacheDir) {
+  return path.resolve(
+    cacheDir || process.env.SPOTLIGHT_ASSET_CACHE_DIR || DEFAULT_CACHE_DIR,
+  );
+}
+
+/**
+ * Stable filename for a URL, keeping its extension (e.g. 3f2a9c01b4de.jpg)
+ */
+function getCacheFileName(url, extension) {
+  const hash = crypto.createHash("sha1").update(url).digest("hex");
+  return `${hash.slice(0, 12)}${extension ?? path.extname(new URL(url).pathname)}`;
+}
+
+/**
+ * Download a URL into the cache, unless it's already there
+ * @returns {Promise<string>} - Path of the cached file
+ */
+async function download(url, cachePath) {
+  if (fs.existsSync(cachePath)) {
+    return cachePath;
+  }
+
+  const response = await fetch(url, {
+    headers: { "User-Agent": FONT_USER_AGENT },
+    signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, Buffer.from(await response.arrayBuffer()));
+  return cachePath;
+}
+
+/**
+ * Download a file to the cache and copy it into site/local-assets/<kind>/
+ * @returns {Promise<string>} - Path of the copy, relative to site/
+ */
+async function cacheFile(url, kind, dirs) {
+  const fileName = getCacheFileName(url);
+  const cachePath = await download(
+    url,
+    path.join(dirs.cacheDir, kind, fileName),
+  );
+
+  const relativePath = path.posix.join(LOCAL_ASSETS_DIR, kind, fileName);
+  fs.mkdirSync(path.join(dirs.siteDir, LOCAL_ASSETS_DIR, kind), {
+    recursive: true,
+  });
+  fs.copyFileSync(cachePath, path.join(dirs.siteDir, relativePath));
+  return relativePath;
+}
+
+/**
+ * Cache a Google Fonts stylesheet and its font files, pointing the
+ * stylesheet at the local copies
+ * @returns {Promise<string>} - Path of the local stylesheet, relative to site/
+ */
+async function cacheFontStylesheet(url, dirs) {
+  const fileName = getCacheFileName(url, ".css");
+  const cachePath = await download(
+    url,
+    path.join(dirs.cacheDir, "fonts", fileName),
+  );
+
+  let css = fs.readFileSync(cachePath, "utf8");
+  const fontUrls = [
+    ...new Set([...css.matchAll(FONT_FILE_PATTERN)].map((m) => m[1])),
+  ];
+  for (const fontUrl of fontUrls) {
+    // The stylesheet and fonts share a directory
+    const fontPath = await cacheFile(fontUrl, "fonts", dirs);
+    css = css.replaceAll(fontUrl, path.posix.basename(fontPath));
+  }
+
+  const relativePath = path.posix.join(LOCAL_ASSETS_DIR, "fonts", fileName);
+  fs.writeFileSync(path.join(dirs.siteDir, relativePath), css, "utf8");
+  return relativePath;
+}
+
+/**
+ * Point a page's posters and fonts at local copies in site/local-assets/
+ * Posters that can't be downloaded (and aren't cached) keep their remote URL,
+ * so they fail to load in an offline screenshot. Fonts that can't be downloaded keep their remote stylesheet, so a
+ * screenshot with network disabled falls back to the system font
+ * @param {string} html - Page HTML
+ * @param {Object} options
+ * @param {string} options.siteDir - The page's site/ directory
+ * @param {string} [options.cacheDir] - Download cache (defaults to cache/assets/, or SPOTLIGHT_ASSET_CACHE_DIR)
+ * @returns {Promise<{html: string, cached: number, missing: Array<string>}>} -
+ *   The rewritten HTML, the number of assets copied and the URLs that failed
+ */
+async function localizeAssets(html, options) {
+  const dirs = {
+    siteDir: options.siteDir,
+    cacheDir: resolveCacheDir(options.cacheDir),
+  };
+  const missing = [];
+  let cached = 0;
+  let result = html;
+
+  const posterUrls = [...new Set(html.match(POSTER_URL_PATTERN) || [])];
+  for (const url of posterUrls) {
+    try {
+      result = result.replaceAll(url, await cacheFile(url, "posters", dirs));
+      cached++;
+    } catch (error) {
+      // Left remote, so the screenshot's --missing-images policy decides
+      // whether the run fails, retries or shows the placeholder
+      console.warn(`Warning: couldn't cache poster ${url} (${error.message})`);
+      missing.push(url);
+    }
+  }
+
+  const stylesheetUrls = [...html.matchAll(FONT_STYLESHEET_PATTERN)].map(
+    (match) => match[1],
+  );
+  let fontsCached = stylesheetUrls.length > 0;
+  for (const url of stylesheetUrls) {
+    try {
+      const href = await cacheFontStylesheet(
+        url.replaceAll("&amp;", "&"),
+        dirs,
+      );
+      result = result.replace(`href="${url}"`, `href="${href}"`);
+      cached++;
+    } catch (error) {
+      console.warn(`Warning: couldn't cache fonts ${url} (${error.message})`);
+      missing.push(url);
+      fontsCached = false;
+    }
+  }
+  if (fontsCached) {
+    // Nothing left to connect to
+    result = result.replace(FONT_PRECONNECT_PATTERN, "");
+  }
+
+  return { html: result, cached, missing };
+}
+
+/**
+ * Rewrite generated pages to use local copies of their posters and fonts
+ * @param {Array<string>} htmlPaths - Pages in site/
+ * @param {Object} [options]
+ * @param {string} [options.cacheDir] - Download cache (defaults to cache/assets/, or SPOTLIGHT_ASSET_CACHE_DIR)
+ * @param {boolean} [options.dryRun] - Log what would be cached without downloading
+ * @returns {Promise<Array<string>>} - The rewritten HTML of each page
+ */
+async function cachePageAssets(htmlPaths, options = {}) {
+  const { cacheDir, dryRun = false } = options;
+  const pages = [];
+
+  for (const htmlPath of htmlPaths) {
+    if (dryRun) {
+      console.log(`Local assets (dry run, not cached): ${htmlPath}`);
+      pages.push(null);
+      continue;
+    }
+
+    const { html, cached, missing } = await localizeAssets(
+      fs.readFileSync(htmlPath, "utf8"),
+      { siteDir: path.dirname(htmlPath), cacheDir },
+    );
+    writeOutputFile(htmlPath, html, {
+      label: "Local assets used",
+      details: `${cached} cached, ${missing.length} missing`,
+    });
+    pages.push(html);
+  }
+
+  return pages;
+}
+
+/**
+ * Rewrite the pages from a generator's result to use local assets
+ * @param {Object} result - Generator result, with pages
+ * @param {Object} [options] - See cachePageAssets
+ * @returns {Promise<Object>} - The result with each page's html updated
+ */
+async function cacheResultAssets(result, options = {}) {
+  const htmls = await cachePageAssets(
+    result.pages.map((page) => page.htmlPath),
+    options,
+  );
+  const pages = result.pages.map((page, i) => ({
+    ...page,
+    html: htmls[i] ?? page.html,
+  }));
+
+  return { ...result, pages, html: pages[0].html };
+}
+
+module.exports = {
+  PLACEHOLDER_POSTER,
+  localizeAssets,
+  cachePageAssets,
+  cacheResultAssets,
+};
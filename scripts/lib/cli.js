@@ -0,0 +1,626 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { resolveNow, getTimestamp } = require("./utils");
+const { loadData } = require("./data-loader");
+const { EXIT_CODES, SpotlightError, UsageError } = require("./errors");
+const { ROOT_DIR } = require("./output");
+const { FORMATS, resolveFormat } = require("./formats");
+const { runSpotlight } = require("./spotlight-runner");
+const { listSpotlightConfigs, parseOverrides } = require("./spotlight-config");
+const { generateSingleMovie, generateSingleMovies } = require("./single-movie");
+const { generateProgram } = require("./program");
+const { explainMovie } = require("./explain");
+const { cacheResultAssets } = require("./asset-cache");
+const { LAYOUTS, SIZINGS } = require("./collage");
+const { ID_PATTERN, searchTitles, formatMatch } = require("./search");
+
+// Flags every command accepts
+const SHARED_OPTIONS = {
+  now: {
+    type: "string",
+    value: "<time>",
+    description: "Reference time, ISO date or epoch ms (or SPOTLIGHT_NOW)",
+  },
+  "data-dir": {
+    type: "string",
+    value: "<dir>",
+    description:
+      "Read combined-data/ and matched-data/ from here (or SPOTLIGHT_DATA_DIR)",
+  },
+  "out-dir": {
+    type: "string",
+    value: "<dir>",
+    description:
+      "Write site/ and output/ here, default the repo root (or SPOTLIGHT_OUT_DIR)",
+  },
+  seed: {
+    type: "string",
+    value: "<seed>",
+    description: "Seed for collage layouts (or SPOTLIGHT_SEED)",
+  },
+  "dry-run": {
+    type: "boolean",
+    description: "Log what would be generated without writing files",
+  },
+  help: { type: "boolean", short: "h", description: "Show help" },
+};
+
+// Image format flag for the collage spotlights and screenshots
+const FORMAT_OPTION = {
+  type: "string",
+  multiple: true,
+  value: "<format>",
+  description: `Image format, repeatable or comma-separated: ${Object.entries(
+    FORMATS,
+  )
+    .map(([name, { ratio }]) => `${name} (${ratio})`)
+    .join(", ")}`,
+};
+
+// Flags for the collage spotlights (last-chance, new-films, all)
+const SPOTLIGHT_OPTIONS = {
+  config: {
+    type: "string",
+    value: "<path>",
+    description: "Use a different spotlight config file",
+  },
+  set: {
+    type: "string",
+    multiple: true,
+    value: "<key=value>",
+    description: "Override a config value (e.g. filters.minImdbRating=6)",
+  },
+  layout: {
+    type: "string",
+    value: "<name>",
+    description: `Collage layout: ${Object.keys(LAYOUTS).join(" or ")}`,
+  },
+  sizing: {
+    type: "string",
+    value: "<name>",
+    description: `Poster sizing: ${SIZINGS.join(" or ")}`,
+  },
+  explain: {
+    type: "boolean",
+    description: "List every rejected movie and the filter rejecting it",
+  },
+  format: FORMAT_OPTION,
+};
+
+// Flags for narrowing down a title search
+const SEARCH_OPTIONS = {
+  year: {
+    type: "string",
+    value: "<year>",
+    description: "Release year, to narrow down a title",
+  },
+  venue: {
+    type: "string",
+    value: "<name>",
+    description: "Venue name (or part of one), to narrow down a title",
+  },
+};
+
+// Screenshot flag for what to do when a poster doesn't load
+const MISSING_IMAGES_OPTION = {
+  type: "string",
+  value: "<policy>",
+  description:
+    "When a poster doesn't load: fail (default), retry, or placeholder (default offline)",
+};
+
+// Flags for the commands that generate a page
+const GENERATE_OPTIONS = {
+  screenshot: {
+    type: "boolean",
+    description: "Also screenshot the page, named with the same run ID",
+  },
+  "cache-assets": {
+    type: "boolean",
+    description:
+      "Use local copies of posters and fonts (screenshots then run offline)",
+  },
+  "missing-images": MISSING_IMAGES_OPTION,
+};
+
+/**
+ * Options shared by every generator, from parsed flags
+ */
+function getSharedOptions(args) {
+  return {
+    now: resolveNow(args.now),
+    dataDir: args["data-dir"],
+    outDir: args["out-dir"],
+    dryRun: Boolean(args["dry-run"]),
+  };
+}
+
+/**
+ * Options for runSpotlight, from parsed flags
+ */
+function getSpotlightOptions(args) {
+  return {
+    ...getSharedOptions(args),
+    overrides: parseOverrides(args.set),
+    seed: args.seed || process.env.SPOTLIGHT_SEED || undefined,
+    layout: parseChoice("--layout", args.layout, Object.keys(LAYOUTS)),
+    sizing: parseChoice("--sizing", args.sizing, SIZINGS),
+    explain: args.explain,
+    formats: parseFormats(args.format),
+  };
+}
+
+/**
+ * Options for narrowing down a title search, from parsed flags
+ */
+function getSearchOptions(args) {
+  return { year: args.year, venue: args.venue };
+}
+
+/**
+ * Split --format values (repeatable, comma-separated), undefined if not given
+ */
+function parseFormats(values) {
+  if (!values) {
+    return undefined;
+  }
+  return values
+    .flatMap((value) => value.split(","))
+    .map((value) => {
+      try {
+        return resolveFormat(value.trim());
+      } catch (error) {
+        throw new UsageError(error.message);
+      }
+    });
+}
+
+/**
+ * Check a flag's value against the values it accepts (undefined if not given)
+ */
+function parseChoice(flag, value, choices) {
+  if (value !== undefined && !choices.includes(value)) {
+    throw new UsageError(
+      `Unknown ${flag} "${value}" (expected one of: ${choices.join(", ")})`,
+    );
+  }
+  return value;
+}
+
+/**
+ * Check --missing-images against the screenshot policies
+ */
+function parseImagePolicy(value, policies) {
+  return parseChoice("--missing-images policy", value, policies);
+}
+
+/**
+ * Cache generators' assets if --cache-assets was passed, and screenshot them
+ * in one browser session if --screenshot was passed
+ * @returns {Promise<Array<Object>>} - The results, with screenshotPath if taken
+ */
+async function finishRuns(results, args) {
+  const dryRun = Boolean(args["dry-run"]);
+  const cacheAssets = Boolean(args["cache-assets"]);
+  if (results.length > 0) {
+    console.log(`\nRun ID: ${results[0].runId}`);
+  }
+
+  const finished = [];
+  for (const result of results) {
+    finished.push(
+      cacheAssets ? await cacheResultAssets(result, { dryRun }) : result,
+    );
+  }
+  if (!args.screenshot || finished.length === 0) {
+    return finished;
+  }
+
+  // Loaded on demand, so the other commands work without Playwright
+  const { screenshotResults, IMAGE_POLICIES } = require("./screenshot");
+  return screenshotResults(finished, {
+    outDir: args["out-dir"],
+    offline: cacheAssets,
+    imagePolicy: parseImagePolicy(args["missing-images"], IMAGE_POLICIES),
+    dryRun,
+  });
+}
+
+/**
+ * Finish a single generator's run, see finishRuns
+ * @returns {Promise<Object>} - The result, with screenshotPath if taken
+ */
+async function finishRun(result, args) {
+  const [finished] = await finishRuns([result], args);
+  return finished;
+}
+
+/**
+ * Movies from the command line and --ids-file. An argument or line of IDs
+ * separated by whitespace or commas is split into them, anything else is
+ * one title. In the file, anything after a # is a comment
+ */
+function getMovieQueries(positionals, idsFile) {
+  const lines = [...positionals];
+  if (idsFile) {
+    if (!fs.existsSync(idsFile)) {
+      throw new UsageError(`IDs file not found: ${idsFile}`);
+    }
+    fs.readFileSync(idsFile, "utf8")
+      .split("\n")
+      .forEach((line) => lines.push(line.replace(/#.*/, "")));
+  }
+
+  return lines.flatMap((line) => {
+    const parts = line.split(/[\s,]+/).filter(Boolean);
+    return parts.every((part) => ID_PATTERN.test(part)) ? parts : [line.trim()];
+  });
+}
+
+/**
+ * Generate a movie spotlight per ID, screenshot them together and summarise
+ * the IDs that failed (e.g. not found, no poster)
+ */
+async function runMovieBatch(tmdbIds, args) {
+  const { results, failures } = generateSingleMovies(tmdbIds, {
+    ...getSharedOptions(args),
+    ...getSearchOptions(args),
+  });
+  const summary = failures
+    .map(({ query, error }) => `  ${query}: ${error.message}`)
+    .join("\n");
+  console.log(
+    `\nGenerated ${results.length} of ${results.length + failures.length} movie spotlights`,
+  );
+  if (failures.length > 0) {
+    console.error(`Failed:\n${summary}`);
+  }
+
+  // Screenshot the movies that were generated before failing the run
+  await finishRuns(results, args);
+  if (failures.length > 0) {
+    throw new SpotlightError(`${failures.length} movie(s) failed:\n${summary}`);
+  }
+}
+
+/**
+ * Build the command table. Every config in spotlights/ gets a command
+ *
+ * Each command has:
+ * - description: for --help
+ * - args: positional argument names, optional ones in [brackets], repeatable
+ *   ones ending in ... (e.g. [TMDB_ID...])
+ * - options: flags on top of SHARED_OPTIONS
+ * - run(args, positionals): does the work, may be async
+ */
+function getCommands() {
+  const spotlights = listSpotlightConfigs();
+  const commands = {};
+
+  spotlights.forEach((name) => {
+    commands[name] = {
+      description: `Generate the ${name} collage and social text`,
+      args: [],
+      options: { ...SPOTLIGHT_OPTIONS, ...GENERATE_OPTIONS },
+      run: (args) =>
+        finishRun(
+          runSpotlight(args.config || name, getSpotlightOptions(args)),
+          args,
+        ),
+    };
+  });
+
+  commands.movie = {
+    description:
+      "Generate a single movie spotlight, or one per movie for several IDs",
+    args: ["[TMDB_ID|TITLE...]"],
+    options: {
+      ...GENERATE_OPTIONS,
+      ...SEARCH_OPTIONS,
+      "ids-file": {
+        type: "string",
+        value: "<path>",
+        description:
+          "Also read TMDB IDs (or titles) from a file, one or more per line",
+      },
+    },
+    run: (args, positionals) => {
+      const tmdbIds = getMovieQueries(positionals, args["ids-file"]);
+      if (tmdbIds.length === 0) {
+        throw new UsageError("Missing TMDB_ID (or --ids-file)");
+      }
+      // Several IDs get uniquely named files (single-movie-<TMDB_ID>)
+      if (tmdbIds.length > 1 || args["ids-file"]) {
+        return runMovieBatch(tmdbIds, args);
+      }
+      return finishRun(
+        generateSingleMovie(tmdbIds[0], {
+          ...getSharedOptions(args),
+          ...getSearchOptions(args),
+        }),
+        args,
+      );
+    },
+  };
+
+  commands.program = {
+    description:
+      "Generate a program spotlight (double feature, triple bill, marathon)",
+    args: ["PROGRAM_ID|TITLE"],
+    options: { ...GENERATE_OPTIONS, venue: SEARCH_OPTIONS.venue },
+    run: (args, [programId]) =>
+      finishRun(
+        generateProgram(programId, {
+          ...getSharedOptions(args),
+          venue: args.venue,
+        }),
+        args,
+      ),
+  };
+
+  commands.search = {
+    description: "Find movies and programs by title, with their IDs",
+    args: ["TITLE"],
+    options: {
+      ...SEARCH_OPTIONS,
+      type: {
+        type: "string",
+        value: "<type>",
+        description: "Only movie or program matches",
+      },
+    },
+    run: (args, [title]) => {
+      if (args.type && !["movie", "program"].includes(args.type)) {
+        throw new UsageError(
+          `Unknown --type "${args.type}" (expected movie or program)`,
+        );
+      }
+      const { data } = loadData(ROOT_DIR, { dataDir: args["data-dir"] });
+      const matches = searchTitles(data, title, {
+        ...getSearchOptions(args),
+        type: args.type,
+        now: resolveNow(args.now),
+      });
+      if (matches.length === 0) {
+        throw new SpotlightError(`Nothing found matching "${title}"`);
+      }
+
+      console.log(
+        `${matches.length} match${matches.length === 1 ? "" : "es"} for "${title}":\n`,
+      );
+      matches.forEach((match) => console.log(formatMatch(match)));
+    },
+  };
+
+  commands.screenshot = {
+    description: "Screenshot a generated page (e.g. last-chance, movie)",
+    args: ["TYPE"],
+    options: {
+      format: FORMAT_OPTION,
+      offline: {
+        type: "boolean",
+        description: "Disable the network, so only local files load",
+      },
+      "missing-images": MISSING_IMAGES_OPTION,
+    },
+    run: (args, [type]) => {
+      // Loaded on demand, so the other commands work without Playwright
+      const { takeScreenshot, IMAGE_POLICIES } = require("./screenshot");
+      return takeScreenshot(type === "movie" ? "single-movie" : type, {
+        ...getSharedOptions(args),
+        formats: parseFormats(args.format),
+        offline: args.offline,
+        imagePolicy: parseImagePolicy(args["missing-images"], IMAGE_POLICIES),
+      });
+    },
+  };
+
+  commands.all = {
+    description: `Generate every collage spotlight (${spotlights.join(", ")})`,
+    args: [],
+    options: { ...SPOTLIGHT_OPTIONS, ...GENERATE_OPTIONS },
+    run: async (args) => {
+      if (args.config) {
+        throw new UsageError(`--config can't be used with "all"`);
+      }
+      // Resolve the options once so every spotlight shares the run ID
+      const options = getSpotlightOptions(args);
+      options.runId = getTimestamp(options.now);
+      for (const [i, name] of spotlights.entries()) {
+        console.log(`${i > 0 ? "\n" : ""}=== ${name} ===`);
+        await finishRun(runSpotlight(name, options), args);
+      }
+    },
+  };
+
+  commands.explain = {
+    description: "Explain why a movie is in or out of the spotlights",
+    args: ["QUERY", "[SPOTLIGHT]"],
+    options: { set: SPOTLIGHT_OPTIONS.set },
+    run: (args, [query, spotlight]) =>
+      explainMovie(query, spotlight ? [spotlight] : spotlights, {
+        ...getSharedOptions(args),
+        overrides: parseOverrides(args.set),
+      }),
+  };
+
+  commands.validate = {
+    description: "Check the input data against its schemas",
+    args: [],
+    options: {},
+    run: (args) => {
+      // Sources load lazily, so read each one to validate it
+      const sources = loadData(ROOT_DIR, { dataDir: args["data-dir"] });
+      Object.keys(sources).forEach((key) => sources[key]);
+      console.log("\nData is valid");
+    },
+  };
+
+  return commands;
+}
+
+/**
+ * Format flags for help text
+ */
+function formatOptions(options) {
+  return Object.entries(options)
+    .map(([name, { short, value, description }]) => {
+      const flag = `${short ? `-${short}, ` : "    "}--${name}${value ? ` ${value}` : ""}`;
+      return `  ${flag.padEnd(26)} ${description}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Help text for the CLI, or a single command
+ */
+function getHelp(commands, commandName) {
+  const exitCodes = [
+    "Exit codes:",
+    "  0  Success",
+    "  1  Generation failed (e.g. movie not found, screenshot failed)",
+    "  2  Invalid usage",
+    "  3  Invalid input data",
+  ].join("\n");
+
+  if (commandName) {
+    const command = commands[commandName];
+    const usage = [commandName, ...command.args].join(" ");
+    const extraOptions =
+      Object.keys(command.options).length > 0
+        ? `\n\nOptions:\n${formatOptions(command.options)}`
+        : "";
+    return `Usage: spotlights ${usage} [options]
+
+${command.description}${extraOptions}
+
+Shared options:
+${formatOptions(SHARED_OPTIONS)}
+
+${exitCodes}`;
+  }
+
+  const commandList = Object.entries(commands)
+    .map(([name, command]) => {
+      const usage = [name, ...command.args].join(" ");
+      return `  ${usage.padEnd(26)} ${command.description}`;
+    })
+    .join("\n");
+
+  return `Usage: spotlights <command> [options]
+
+Commands:
+${commandList}
+
+Shared options:
+${formatOptions(SHARED_OPTIONS)}
+
+Run "spotlights <command> --help" for a command's own options.
+
+${exitCodes}`;
+}
+
+/**
+ * Parse a command's arguments, turning parse failures into UsageErrors
+ */
+function parseCommandArgs(command, argv) {
+  const options = {};
+  Object.entries({ ...SHARED_OPTIONS, ...command.options }).forEach(
+    ([name, { type, multiple = false, short }]) => {
+      options[name] = short ? { type, multiple, short } : { type, multiple };
+    },
+  );
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options, allowPositionals: true });
+  } catch (error) {
+    if (error.code?.startsWith("ERR_PARSE_ARGS")) {
+      throw new UsageError(error.message);
+    }
+    throw error;
+  }
+
+  const required = command.args.filter((arg) => !arg.startsWith("["));
+  if (!parsed.values.help) {
+    if (parsed.positionals.length < required.length) {
+      throw new UsageError(`Missing ${required[parsed.positionals.length]}`);
+    }
+    const variadic = command.args.some((arg) => arg.endsWith("...]"));
+    if (!variadic && parsed.positionals.length > command.args.length) {
+      throw new UsageError(
+        `Unexpected argument "${parsed.positionals[command.args.length]}"`,
+      );
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments, without the node and script paths
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+async function main(argv) {
+  let commands;
+  let commandName;
+
+  try {
+    commands = getCommands();
+    commandName = argv[0];
+
+    if (!commandName || commandName === "--help" || commandName === "-h") {
+      if (!commandName) {
+        console.error(getHelp(commands));
+        return EXIT_CODES.USAGE;
+      }
+      console.log(getHelp(commands));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const command = commands[commandName];
+    if (!command) {
+      throw new UsageError(`Unknown command "${commandName}"`);
+    }
+
+    const { values: args, positionals } = parseCommandArgs(
+      command,
+      argv.slice(1),
+    );
+    if (args.help) {
+      console.log(getHelp(commands, commandName));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    await command.run(args, positionals);
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    if (!(error instanceof SpotlightError)) {
+      console.error(error);
+      return EXIT_CODES.FAILURE;
+    }
+
+    console.error(`\nError: ${error.message}`);
+    if (error instanceof UsageError) {
+      const helpCommand = commands?.[commandName] ? ` ${commandName}` : "";
+      console.error(`Run "spotlights${helpCommand} --help" for usage`);
+    }
+    return error.exitCode;
+  }
+}
+
+/**
+ * Run the CLI and set the process exit code
+ * @param {Array<string>} [argv] - Arguments (defaults to the process's)
+ */
+function runCli(argv = process.argv.slice(2)) {
+  return main(argv).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = {
+  main,
+  runCli,
+};
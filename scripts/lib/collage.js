@@ -1,21 +1,412 @@
 const fs = require("fs");
 const path = require("path");
 const { escapeHtml } = require("./utils");
+const { SpotlightError } = require("./errors");
+const { createRandom, generateSeed, shuffle } = require("./random");
+const { FORMATS, DEFAULT_FORMAT } = require("./formats");
 
 // Collage layout constants (centered positioning, so these are center points)
+// Areas are percentages of the 1000px square collage, and converted for other
+// formats by keeping their distance in pixels from the collage edges
+const REFERENCE_SIZE = 1000;
 const POSTER_AREA = { minX: 5, maxX: 95, minY: 5, maxY: 88 };
 const RADIAL_EXPANSION = 1.1; // Push posters outward by 10%
 const JITTER_FACTOR = 0.5; // Jitter within 50% of cell size
 const MAX_ROTATION_DEG = 8;
 const BASE_POSTER_COUNT = 28; // Base count for poster sizing
 const BASE_POSTER_WIDTH = 18; // Base width percentage at 36 posters
+const POSTER_ASPECT_RATIO = 1.5; // Poster height / width (2:3 posters)
+const MAX_POSTER_WIDTH = 30; // Max width percentage (300px in 1000px container)
+
+// Poster sizings, selected with the `sizing` option: every poster the same
+// width, or sized by importance (see getImportanceScore)
+const SIZINGS = ["uniform", "importance"];
+
+// Importance-weighted sizing: share of the score from each signal, and how far
+// posters may shrink or grow relative to the uniform width
+const IMPORTANCE_WEIGHTS = { rating: 0.6, performances: 0.25, venues: 0.15 };
+const MIN_SIZE_FACTOR = 0.6;
+const MAX_SIZE_FACTOR = 1.6;
+
+// Regions posters should keep clear of, as percentages of the collage
+// (the .branding block holds the title text and icon at the bottom-right)
+const RESERVED_AREAS = [
+  { name: "title", minX: 54, maxX: 90, minY: 90, maxY: 100 },
+  { name: "branding", minX: 90, maxX: 100, minY: 90, maxY: 100 },
+];
+
+// Packed layout tuning
+const PACKED_CANDIDATES = 80; // Candidate positions tried per poster
+const OVERLAP_PENALTY = 1; // Cost of covering an already-covered cell
+const RESERVED_PENALTY = 10; // Cost of covering a reserved cell
+
+// Resolution of the coverage grid used for packing and scoring (cells per 1%)
+const GRID_RESOLUTION = 1;
+const GRID_SIZE = 100 * GRID_RESOLUTION;
+
+/**
+ * Work out the collage geometry for a format
+ * x positions and widths are percentages of the collage width, y positions
+ * percentages of its height. `aspect` (width / height) converts between them
+ * @param {string} [format] - Format name (see formats.js)
+ * @returns {{format: string, aspect: number, posterArea: Object, reservedAreas: Array, maxPosterWidth: number}}
+ */
+function getFrame(format = DEFAULT_FORMAT) {
+  const { width, height } = FORMATS[format];
+  const scaleX = REFERENCE_SIZE / width;
+  const scaleY = REFERENCE_SIZE / height;
+  const fromStart = (value, scale) => value * scale;
+  const fromEnd = (value, scale) => 100 - (100 - value) * scale;
+
+  return {
+    format,
+    aspect: width / height,
+    posterArea: {
+      minX: fromStart(POSTER_AREA.minX, scaleX),
+      maxX: fromEnd(POSTER_AREA.maxX, scaleX),
+      minY: fromStart(POSTER_AREA.minY, scaleY),
+      maxY: fromEnd(POSTER_AREA.maxY, scaleY),
+    },
+    // The branding block is anchored to the bottom-right corner
+    reservedAreas: RESERVED_AREAS.map((area) => ({
+      name: area.name,
+      minX: fromEnd(area.minX, scaleX),
+      maxX: fromEnd(area.maxX, scaleX),
+      minY: fromEnd(area.minY, scaleY),
+      maxY: fromEnd(area.maxY, scaleY),
+    })),
+    maxPosterWidth: MAX_POSTER_WIDTH * scaleX,
+  };
+}
+
+/**
+ * Check whether a grid cell lies in one of the reserved areas
+ */
+function isReservedCell(cellX, cellY, frame) {
+  const x = (cellX + 0.5) / GRID_RESOLUTION;
+  const y = (cellY + 0.5) / GRID_RESOLUTION;
+  return frame.reservedAreas.some(
+    (area) =>
+      x >= area.minX && x <= area.maxX && y >= area.minY && y <= area.maxY,
+  );
+}
+
+/**
+ * Check whether a grid cell lies in the area posters should cover
+ */
+function isTargetCell(cellX, cellY, frame) {
+  const x = (cellX + 0.5) / GRID_RESOLUTION;
+  const y = (cellY + 0.5) / GRID_RESOLUTION;
+  const { minX, maxX, minY, maxY } = frame.posterArea;
+  return (
+    x >= minX &&
+    x <= maxX &&
+    y >= minY &&
+    y <= maxY &&
+    !isReservedCell(cellX, cellY, frame)
+  );
+}
+
+/**
+ * List the grid cells covered by a (rotated) poster
+ * @param {Object} placement - { x, y, width, rotation } in collage percentages/degrees
+ * @param {number} [aspect] - Collage width / height
+ * @returns {Array<number>} - Cell indexes (y * GRID_SIZE + x)
+ */
+function getCoveredCells({ x, y, width, rotation }, aspect = 1) {
+  // Work in units of 1% of the collage width, so the poster keeps its shape
+  const halfWidth = width / 2;
+  const halfHeight = (width * POSTER_ASPECT_RATIO) / 2;
+  const radians = (rotation * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+
+  // Axis-aligned bounds of the rotated rectangle
+  const extentX = halfWidth * Math.abs(cos) + halfHeight * Math.abs(sin);
+  const extentY =
+    (halfWidth * Math.abs(sin) + halfHeight * Math.abs(cos)) * aspect;
+  const fromX = Math.max(0, Math.floor((x - extentX) * GRID_RESOLUTION));
+  const toX = Math.min(
+    GRID_SIZE - 1,
+    Math.ceil((x + extentX) * GRID_RESOLUTION),
+  );
+  const fromY = Math.max(0, Math.floor((y - extentY) * GRID_RESOLUTION));
+  const toY = Math.min(
+    GRID_SIZE - 1,
+    Math.ceil((y + extentY) * GRID_RESOLUTION),
+  );
+
+  const cells = [];
+  for (let cellY = fromY; cellY <= toY; cellY++) {
+    for (let cellX = fromX; cellX <= toX; cellX++) {
+      // Rotate the cell center back into the poster's own frame
+      const dx = (cellX + 0.5) / GRID_RESOLUTION - x;
+      const dy = ((cellY + 0.5) / GRID_RESOLUTION - y) / aspect;
+      const u = dx * cos + dy * sin;
+      const v = -dx * sin + dy * cos;
+      if (Math.abs(u) <= halfWidth && Math.abs(v) <= halfHeight) {
+        cells.push(cellY * GRID_SIZE + cellX);
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * Score a layout by how well it covers the poster area
+ * @param {Array} placements - Array of { x, y, width, rotation }
+ * @param {Object} [frame] - Collage geometry from getFrame (defaults to square)
+ * @returns {Object} - { coverage, overlap, reserved } as percentages
+ *   coverage: share of the poster area covered by at least one poster
+ *   overlap: share of the poster area covered by two or more posters
+ *   reserved: share of the reserved areas (title/branding) covered by posters
+ */
+function scoreLayout(placements, frame = getFrame()) {
+  const counts = new Uint16Array(GRID_SIZE * GRID_SIZE);
+  placements.forEach((placement) => {
+    getCoveredCells(placement, frame.aspect).forEach((cell) => counts[cell]++);
+  });
+
+  let targetCells = 0;
+  let coveredCells = 0;
+  let overlapCells = 0;
+  let reservedCells = 0;
+  let reservedCoveredCells = 0;
+
+  for (let cellY = 0; cellY < GRID_SIZE; cellY++) {
+    for (let cellX = 0; cellX < GRID_SIZE; cellX++) {
+      const count = counts[cellY * GRID_SIZE + cellX];
+      if (isReservedCell(cellX, cellY, frame)) {
+        reservedCells++;
+        if (count > 0) reservedCoveredCells++;
+      } else if (isTargetCell(cellX, cellY, frame)) {
+        targetCells++;
+        if (count > 0) coveredCells++;
+        if (count > 1) overlapCells++;
+      }
+    }
+  }
+
+  const percent = (value, total) =>
+    total > 0 ? Number(((value / total) * 100).toFixed(1)) : 0;
+
+  return {
+    coverage: percent(coveredCells, targetCells),
+    overlap: percent(overlapCells, targetCells),
+    reserved: percent(reservedCoveredCells, reservedCells),
+  };
+}
+
+/**
+ * Score how much a movie should stand out in the collage (0-1)
+ * Higher IMDB ratings and fewer performances/venues (scarcer films) score higher
+ * @param {Object} movie - Movie with optional rating, performanceCount and venueCount
+ */
+function getImportanceScore(movie) {
+  const rating = movie.rating ? Math.min(movie.rating, 10) / 10 : 0;
+  const performances = movie.performanceCount ? 1 / movie.performanceCount : 0;
+  const venues = movie.venueCount ? 1 / movie.venueCount : 0;
+
+  return (
+    IMPORTANCE_WEIGHTS.rating * rating +
+    IMPORTANCE_WEIGHTS.performances * performances +
+    IMPORTANCE_WEIGHTS.venues * venues
+  );
+}
+
+/**
+ * Work out each poster's width
+ * With importance sizing, poster area is proportional to the importance score,
+ * normalised so the posters cover the same total area as uniform sizing
+ * @param {Array} movies - Movies in placement order
+ * @param {number} posterWidth - Uniform poster width percentage
+ * @param {string} sizing - 'uniform' or 'importance'
+ * @param {number} maxPosterWidth - Width cap percentage for the format
+ * @returns {Array<number>} - Width percentage per movie
+ */
+function getPosterWidths(movies, posterWidth, sizing, maxPosterWidth) {
+  if (sizing === "uniform") {
+    return movies.map(() => posterWidth);
+  }
+  if (!SIZINGS.includes(sizing)) {
+    throw new SpotlightError(
+      `Unknown collage sizing "${sizing}" (expected one of: ${SIZINGS.join(", ")})`,
+    );
+  }
+
+  // Offset so unrated films still get a (small) share of the area
+  const weights = movies.map((movie) => 0.2 + getImportanceScore(movie));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return weights.map((weight) => {
+    const factor = Math.sqrt((movies.length * weight) / totalWeight);
+    const clamped = Math.min(
+      Math.max(factor, MIN_SIZE_FACTOR),
+      MAX_SIZE_FACTOR,
+    );
+    return Number(Math.min(posterWidth * clamped, maxPosterWidth).toFixed(1));
+  });
+}
+
+/**
+ * Move a poster so its rotated bounds sit fully inside the collage
+ */
+function clampToCollage(placement, aspect) {
+  const { x, y, width, rotation } = placement;
+  const halfWidth = width / 2;
+  const halfHeight = (width * POSTER_ASPECT_RATIO) / 2;
+  const radians = (rotation * Math.PI) / 180;
+  const extentX =
+    halfWidth * Math.abs(Math.cos(radians)) +
+    halfHeight * Math.abs(Math.sin(radians));
+  const extentY =
+    (halfWidth * Math.abs(Math.sin(radians)) +
+      halfHeight * Math.abs(Math.cos(radians))) *
+    aspect;
+
+  return {
+    ...placement,
+    x: Math.min(Math.max(x, extentX), 100 - extentX),
+    y: Math.min(Math.max(y, extentY), 100 - extentY),
+  };
+}
+
+/**
+ * Jittered grid layout: one poster per grid cell, pushed outward from the center
+ */
+function placeGrid(movies, { posterWidths, scaleFactor, random, frame }) {
+  const count = movies.length;
+  const { minX, maxX, minY, maxY } = frame.posterArea;
+
+  // Increase radial expansion for fewer posters to fill edges
+  const dynamicExpansion = RADIAL_EXPANSION + (scaleFactor - 1) * 0.01;
+
+  // Create a grid that covers the full area, with more columns for wider formats
+  const cols = Math.ceil(Math.sqrt(count * frame.aspect));
+  const rows = Math.ceil(count / cols);
+  const cellWidth = (maxX - minX) / cols;
+  const cellHeight = (maxY - minY) / rows;
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+
+  const placements = movies.map((movie, index) => {
+    const col = index % cols;
+    const row = Math.floor(index / cols);
+
+    // Position with jitter
+    const jitterX = (random() - 0.5) * cellWidth * JITTER_FACTOR;
+    const jitterY = (random() - 0.5) * cellHeight * JITTER_FACTOR;
+    let posX = minX + cellWidth / 2 + col * cellWidth + jitterX;
+    let posY = minY + cellHeight / 2 + row * cellHeight + jitterY;
+
+    // Push outward from center (more aggressive for fewer posters)
+    const dx = posX - centerX;
+    const dy = posY - centerY;
+    posX = centerX + dx * dynamicExpansion;
+    posY = centerY + dy * dynamicExpansion;
+
+    const rotation = random() * MAX_ROTATION_DEG * 2 - MAX_ROTATION_DEG;
+
+    return { movie, x: posX, y: posY, width: posterWidths[index], rotation };
+  });
+
+  return { placements, description: `${cols}x${rows} grid` };
+}
+
+/**
+ * Packed layout: place posters one at a time, picking the candidate position
+ * that covers the most empty space while avoiding other posters and the
+ * reserved title/branding areas
+ */
+function placePacked(movies, { posterWidths, random, frame }) {
+  const { minX, maxX, minY, maxY } = frame.posterArea;
+  const counts = new Uint16Array(GRID_SIZE * GRID_SIZE);
+  const reserved = new Uint8Array(GRID_SIZE * GRID_SIZE);
+  const target = new Uint8Array(GRID_SIZE * GRID_SIZE);
+  for (let cellY = 0; cellY < GRID_SIZE; cellY++) {
+    for (let cellX = 0; cellX < GRID_SIZE; cellX++) {
+      const cell = cellY * GRID_SIZE + cellX;
+      reserved[cell] = isReservedCell(cellX, cellY, frame) ? 1 : 0;
+      target[cell] = isTargetCell(cellX, cellY, frame) ? 1 : 0;
+    }
+  }
+
+  const placements = movies.map((movie, index) => {
+    let best = null;
+
+    for (let i = 0; i < PACKED_CANDIDATES; i++) {
+      const candidate = {
+        x: minX + random() * (maxX - minX),
+        y: minY + random() * (maxY - minY),
+        width: posterWidths[index],
+        rotation: random() * MAX_ROTATION_DEG * 2 - MAX_ROTATION_DEG,
+      };
+      const cells = getCoveredCells(candidate, frame.aspect);
+
+      let score = 0;
+      cells.forEach((cell) => {
+        if (reserved[cell]) {
+          score -= RESERVED_PENALTY;
+        } else if (counts[cell] > 0) {
+          score -= OVERLAP_PENALTY;
+        } else if (target[cell]) {
+          score += 1;
+        }
+      });
+
+      if (!best || score > best.score) {
+        best = { ...candidate, cells, score };
+      }
+    }
+
+    best.cells.forEach((cell) => counts[cell]++);
+    return {
+      movie,
+      x: best.x,
+      y: best.y,
+      width: best.width,
+      rotation: best.rotation,
+    };
+  });
+
+  return { placements, description: "packed layout" };
+}
+
+// Available placement algorithms, selected with the `layout` option
+const LAYOUTS = {
+  grid: placeGrid,
+  packed: placePacked,
+};
 
 /**
  * Generate HTML page with movie posters in a collage layout
  * @param {Array} movies - Array of movie objects with posterUrl and title
  * @param {string} templateName - Name of the template file (e.g., 'last-chance.html')
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Layout seed; the same seed and movies give identical HTML
+ * @param {string} [options.layout] - Placement algorithm: 'grid' (default) or 'packed'
+ * @param {string} [options.sizing] - Poster sizing: 'uniform' (default) or 'importance'
+ *   (bigger posters for higher-rated, scarcer films)
+ * @param {string} [options.format] - Image format: 'square' (default), 'portrait',
+ *   'story' or 'landscape' (see formats.js); the layout is worked out for its shape
  */
-function generateCollageHtml(movies, templateName) {
+function generateCollageHtml(movies, templateName, options = {}) {
+  const {
+    seed = generateSeed(),
+    layout = "grid",
+    sizing = "uniform",
+    format = DEFAULT_FORMAT,
+  } = options;
+  const random = createRandom(seed);
+  const frame = getFrame(format);
+
+  const placeMovies = LAYOUTS[layout];
+  if (!placeMovies) {
+    throw new SpotlightError(
+      `Unknown collage layout "${layout}" (expected one of: ${Object.keys(LAYOUTS).join(", ")})`,
+    );
+  }
+
   const templatePath = path.join(
     __dirname,
     "..",
@@ -26,54 +417,70 @@ function generateCollageHtml(movies, templateName) {
   const template = fs.readFileSync(templatePath, "utf8");
 
   const count = movies.length;
-  const { minX, maxX, minY, maxY } = POSTER_AREA;
+  const fillTemplate = (posterItems) =>
+    template
+      .replace("{{COLLAGE_SEED}}", escapeHtml(String(seed)))
+      .replace("{{COLLAGE_FORMAT}}", format)
+      .replace("{{POSTER_ITEMS}}", posterItems);
+
+  // Nothing to size or lay out
+  if (count === 0) {
+    console.log(`Generated ${format} collage with no films (seed: ${seed})`);
+    return fillTemplate("");
+  }
 
-  // Scale poster size based on count (fewer posters = larger posters)
-  // Max 30% width = 300px in 1000px container (300x450 at 2:3 aspect ratio)
+  // Scale poster size based on count (fewer posters = larger posters), and
+  // keep posters covering the same share of the area in taller/wider formats
+  // Max 300px width (300x450 at 2:3 aspect ratio)
   const scaleFactor = Math.sqrt(BASE_POSTER_COUNT / count);
-  const MAX_POSTER_WIDTH = 30;
-  const posterWidth = Math.min(
-    BASE_POSTER_WIDTH * scaleFactor,
-    MAX_POSTER_WIDTH,
-  ).toFixed(1);
+  const areaFactor = Math.sqrt(1 / frame.aspect);
+  const posterWidth = Number(
+    Math.min(
+      BASE_POSTER_WIDTH * scaleFactor * areaFactor,
+      frame.maxPosterWidth,
+    ).toFixed(1),
+  );
 
-  // Increase radial expansion for fewer posters to fill edges
-  const dynamicExpansion = RADIAL_EXPANSION + (scaleFactor - 1) * 0.01;
+  // Shuffle movies for random z-order
+  const shuffled = shuffle(movies, random);
 
-  // Create a grid that covers the full area
-  const cols = Math.ceil(Math.sqrt(count));
-  const rows = Math.ceil(count / cols);
-  const cellWidth = (maxX - minX) / cols;
-  const cellHeight = (maxY - minY) / rows;
-  const centerX = (minX + maxX) / 2;
-  const centerY = (minY + maxY) / 2;
+  const posterWidths = getPosterWidths(
+    shuffled,
+    posterWidth,
+    sizing,
+    frame.maxPosterWidth,
+  );
 
-  // Shuffle movies for random z-order
-  const shuffled = [...movies].sort(() => Math.random() - 0.5);
-
-  const posterItems = shuffled
-    .map((movie, index) => {
-      const col = index % cols;
-      const row = Math.floor(index / cols);
-
-      // Position with jitter
-      const jitterX = (Math.random() - 0.5) * cellWidth * JITTER_FACTOR;
-      const jitterY = (Math.random() - 0.5) * cellHeight * JITTER_FACTOR;
-      let posX = minX + cellWidth / 2 + col * cellWidth + jitterX;
-      let posY = minY + cellHeight / 2 + row * cellHeight + jitterY;
-
-      // Push outward from center (more aggressive for fewer posters)
-      const dx = posX - centerX;
-      const dy = posY - centerY;
-      posX = centerX + dx * dynamicExpansion;
-      posY = centerY + dy * dynamicExpansion;
-
-      const rotation = (
-        Math.random() * MAX_ROTATION_DEG * 2 -
-        MAX_ROTATION_DEG
-      ).toFixed(1);
+  const layoutResult = placeMovies(shuffled, {
+    posterWidths,
+    scaleFactor,
+    random,
+    frame,
+  });
+  const { description } = layoutResult;
+
+  // Varying sizes can push the larger posters off the edges, and the
+  // standout films should sit on top of the smaller ones
+  const weighted = sizing === "importance";
+  const placements = weighted
+    ? layoutResult.placements.map((placement) =>
+        clampToCollage(placement, frame.aspect),
+      )
+    : layoutResult.placements;
+  const zIndexes = placements.map((_, index) => index);
+  if (weighted) {
+    placements
+      .map((placement, index) => ({ width: placement.width, index }))
+      .sort((a, b) => a.width - b.width || a.index - b.index)
+      .forEach(({ index }, zIndex) => {
+        zIndexes[index] = zIndex;
+      });
+  }
+
+  const posterItems = placements
+    .map(({ movie, x, y, width, rotation }, index) => {
       // Center poster on position, then apply rotation
-      const style = `left: ${posX.toFixed(1)}%; top: ${posY.toFixed(1)}%; width: ${posterWidth}%; transform: translate(-50%, -50%) rotate(${rotation}deg); z-index: ${index};`;
+      const style = `left: ${x.toFixed(1)}%; top: ${y.toFixed(1)}%; width: ${width.toFixed(1)}%; transform: translate(-50%, -50%) rotate(${rotation.toFixed(1)}deg); z-index: ${zIndexes[index]};`;
 
       return `
     <div class="poster-item" style="${style}">
@@ -82,16 +489,31 @@ function generateCollageHtml(movies, templateName) {
     })
     .join("");
 
+  const widthText =
+    sizing === "uniform"
+      ? `${posterWidth.toFixed(1)}%`
+      : `${Math.min(...posterWidths).toFixed(1)}-${Math.max(...posterWidths).toFixed(1)}%, ${sizing} sizing`;
+  console.log(
+    `Generated ${format} collage with ${count} posters in ${description} (poster width: ${widthText}, seed: ${seed})`,
+  );
+
+  const score = scoreLayout(placements, frame);
   console.log(
-    `Generated collage with ${count} posters in ${cols}x${rows} grid (poster width: ${posterWidth}%)`,
+    `Layout score: ${score.coverage}% covered, ${score.overlap}% overlapping, ${score.reserved}% of title/branding covered`,
   );
 
-  return template.replace("{{POSTER_ITEMS}}", posterItems);
+  return fillTemplate(posterItems);
 }
 
 module.exports = {
   generateCollageHtml,
+  getImportanceScore,
+  getFrame,
+  scoreLayout,
+  LAYOUTS,
+  SIZINGS,
   POSTER_AREA,
+  RESERVED_AREAS,
   RADIAL_EXPANSION,
   JITTER_FACTOR,
   MAX_ROTATION_DEG,
@@ -1,39 +1,212 @@
 const fs = require("fs");
 const path = require("path");
+const { EXIT_CODES, SpotlightError } = require("./errors");
+const {
+  COMBINED_DATA_SCHEMA,
+  IMDB_SCHEMA,
+  LETTERBOXD_SCHEMA,
+  ROTTEN_TOMATOES_SCHEMA,
+  validateSchema,
+} = require("./data-schema");
+
+// Max issues of each severity to log per file, to keep logs readable when a
+// whole dataset has changed shape
+const MAX_LOGGED_ISSUES = 20;
 
 /**
- * Load combined data and ratings from the data directories
+ * Thrown when a data file is missing, isn't valid JSON or doesn't match its
+ * schema. `issues` holds every problem found, each naming the file and path
  */
-function loadData(rootDir) {
-  const dataPath = path.join(rootDir, "combined-data", "combined-data.json");
-  const imdbPath = path.join(rootDir, "matched-data", "imdb.json");
-  const letterboxdPath = path.join(rootDir, "matched-data", "letterboxd.json");
-  const rottenTomatoesPath = path.join(
-    rootDir,
-    "matched-data",
-    "rottentomatoes.json",
-  );
+class DataValidationError extends SpotlightError {
+  constructor(message, issues = []) {
+    super(message, EXIT_CODES.INVALID_DATA);
+    this.name = "DataValidationError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Read and parse a JSON data file
+ */
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new DataValidationError(`Data file not found: ${filePath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new DataValidationError(
+      `Data file is not valid JSON: ${filePath} (${error.message})`,
+    );
+  }
+}
 
-  console.log(`Reading data from: ${dataPath}`);
-  const rawData = fs.readFileSync(dataPath, "utf8");
-  const data = JSON.parse(rawData);
+/**
+ * Log issues of one severity, capped at MAX_LOGGED_ISSUES
+ */
+function logIssues(issues, log) {
+  issues.slice(0, MAX_LOGGED_ISSUES).forEach((issue) => {
+    log(`  - ${issue.file}: ${issue.path}: ${issue.message}`);
+  });
+  if (issues.length > MAX_LOGGED_ISSUES) {
+    log(`  ... and ${issues.length - MAX_LOGGED_ISSUES} more`);
+  }
+}
 
-  console.log(`Reading IMDB ratings from: ${imdbPath}`);
-  const imdbRatings = JSON.parse(fs.readFileSync(imdbPath, "utf8"));
+/**
+ * Validate a loaded data file against its schema
+ * Warnings (optional fields) are logged; errors (required fields) are logged
+ * and thrown as a DataValidationError
+ * @param {*} value - Parsed file contents
+ * @param {Object} schema - Schema from data-schema.js
+ * @param {string} filePath - File the value was read from, for messages
+ * @returns {Array} - Warnings found
+ */
+function validateData(value, schema, filePath) {
+  const file = path.basename(filePath);
+  const issues = validateSchema(value, schema).map((issue) => ({
+    file,
+    ...issue,
+  }));
+  const errors = issues.filter((issue) => issue.severity === "error");
+  const warnings = issues.filter((issue) => issue.severity === "warning");
 
-  console.log(`Reading Letterboxd ratings from: ${letterboxdPath}`);
-  const letterboxdRatings = JSON.parse(fs.readFileSync(letterboxdPath, "utf8"));
+  if (warnings.length > 0) {
+    console.warn(`Warning: ${warnings.length} data issues in ${file}:`);
+    logIssues(warnings, console.warn);
+  }
 
-  console.log(`Reading Rotten Tomatoes ratings from: ${rottenTomatoesPath}`);
-  const rottenTomatoesRatings = JSON.parse(
-    fs.readFileSync(rottenTomatoesPath, "utf8"),
+  if (errors.length > 0) {
+    console.error(`Error: ${errors.length} invalid data entries in ${file}:`);
+    logIssues(errors, console.error);
+    throw new DataValidationError(
+      `Invalid data in ${filePath} (${errors.length} errors, first: ${errors[0].path}: ${errors[0].message})`,
+      errors,
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * Work out where the data files live
+ * Explicit options win over environment variables, and specific directories
+ * over a data root holding `combined-data/` and `matched-data/`:
+ * - combinedDataDir / SPOTLIGHT_COMBINED_DATA_DIR
+ * - matchedDataDir / SPOTLIGHT_MATCHED_DATA_DIR
+ * - dataDir / SPOTLIGHT_DATA_DIR (defaults to the repo root)
+ * @param {string} rootDir - Repo root
+ * @param {Object} [options]
+ * @returns {{combinedDataDir: string, matchedDataDir: string}}
+ */
+function resolveDataDirs(rootDir, options = {}) {
+  const dataDir = path.resolve(
+    options.dataDir || process.env.SPOTLIGHT_DATA_DIR || rootDir,
   );
 
-  console.log(`Total movies in data: ${Object.keys(data.movies).length}`);
+  return {
+    combinedDataDir: path.resolve(
+      options.combinedDataDir ||
+        process.env.SPOTLIGHT_COMBINED_DATA_DIR ||
+        path.join(dataDir, "combined-data"),
+    ),
+    matchedDataDir: path.resolve(
+      options.matchedDataDir ||
+        process.env.SPOTLIGHT_MATCHED_DATA_DIR ||
+        path.join(dataDir, "matched-data"),
+    ),
+  };
+}
+
+/**
+ * Data sources: where each file lives, its schema, and whether it can be
+ * missing. Optional sources load as empty ratings (with a warning) when absent
+ */
+function getSources(dirs) {
+  return {
+    data: {
+      label: "data",
+      filePath: path.join(dirs.combinedDataDir, "combined-data.json"),
+      schema: COMBINED_DATA_SCHEMA,
+      summarize: (data) =>
+        `Total movies in data: ${Object.keys(data.movies).length}`,
+    },
+    imdbRatings: {
+      label: "IMDB ratings",
+      filePath: path.join(dirs.matchedDataDir, "imdb.json"),
+      schema: IMDB_SCHEMA,
+    },
+    letterboxdRatings: {
+      label: "Letterboxd ratings",
+      filePath: path.join(dirs.matchedDataDir, "letterboxd.json"),
+      schema: LETTERBOXD_SCHEMA,
+      optional: true,
+    },
+    rottenTomatoesRatings: {
+      label: "Rotten Tomatoes ratings",
+      filePath: path.join(dirs.matchedDataDir, "rottentomatoes.json"),
+      schema: ROTTEN_TOMATOES_SCHEMA,
+      optional: true,
+    },
+  };
+}
+
+/**
+ * Read and validate a single data source
+ */
+function loadSource({ label, filePath, schema, optional, summarize }) {
+  if (optional && !fs.existsSync(filePath)) {
+    console.warn(`Warning: ${label} not found at ${filePath}, skipping`);
+    return {};
+  }
+
+  console.log(`Reading ${label} from: ${filePath}`);
+  const value = readJsonFile(filePath);
+  validateData(value, schema, filePath);
+
+  if (summarize) {
+    console.log(summarize(value));
+  }
+
+  return value;
+}
+
+/**
+ * Load combined data and ratings from the data directories
+ *
+ * Each source is read on first access, so destructuring only the sources a
+ * script needs (e.g. `const { data, imdbRatings } = loadData(rootDir)`) skips
+ * the rest. Every file is checked against its schema (see data-schema.js) and
+ * a DataValidationError thrown if a required field is missing or has the
+ * wrong type. Letterboxd and Rotten Tomatoes ratings are optional.
+ *
+ * @param {string} rootDir - Repo root
+ * @param {Object} [options] - Data directory overrides (see resolveDataDirs)
+ * @returns {{data: Object, imdbRatings: Object, letterboxdRatings: Object, rottenTomatoesRatings: Object}}
+ */
+function loadData(rootDir, options = {}) {
+  const sources = getSources(resolveDataDirs(rootDir, options));
+  const loaded = {};
+  const result = {};
+
+  Object.entries(sources).forEach(([key, source]) => {
+    Object.defineProperty(result, key, {
+      enumerable: true,
+      get() {
+        if (!(key in loaded)) {
+          loaded[key] = loadSource(source);
+        }
+        return loaded[key];
+      },
+    });
+  });
 
-  return { data, imdbRatings, letterboxdRatings, rottenTomatoesRatings };
+  return result;
 }
 
 module.exports = {
+  DataValidationError,
   loadData,
+  resolveDataDirs,
 };
@@ -0,0 +1,240 @@
+/**
+ * Schemas for the input data files, and a small validator for them
+ *
+ * Schema nodes:
+ * - { type: "string" | "number" | "boolean" | "id" } ("id" is a string or number)
+ * - { type: "array", items: schema }
+ * - { type: "object", properties: { key: schema }, required: ["key"] }
+ * - { type: "record", values: schema } (object keyed by ID)
+ *
+ * Problems with required fields are errors; problems with optional fields
+ * (anything not listed in `required`) are warnings, since the generators
+ * cope with them missing. Fields required by an object inside an optional
+ * field (e.g. a performance's `time`) are still errors.
+ */
+
+const performance = {
+  type: "object",
+  properties: {
+    showingId: { type: "id" },
+    time: { type: "number" },
+  },
+  required: ["showingId", "time"],
+};
+
+const showing = {
+  type: "object",
+  properties: {
+    venueId: { type: "id" },
+    seen: { type: "number" },
+  },
+  required: ["venueId"],
+};
+
+const movieDetails = {
+  id: { type: "id" },
+  title: { type: "string" },
+  duration: { type: "number" },
+  genres: { type: "array", items: { type: "id" } },
+  posterPath: { type: "string" },
+  actors: { type: "array" },
+  directors: { type: "array", items: { type: "id" } },
+  releaseDate: { type: "string" },
+  year: { type: "id" },
+  overview: { type: "string" },
+};
+
+const movie = {
+  type: "object",
+  properties: {
+    ...movieDetails,
+    showings: { type: "record", values: showing },
+    performances: { type: "array", items: performance },
+    includedMovies: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: movieDetails,
+        required: ["id", "title"],
+      },
+    },
+  },
+  required: ["id", "title"],
+};
+
+const venue = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    groupName: { type: "string" },
+    socials: { type: "record", values: { type: "string" } },
+  },
+  required: ["name"],
+};
+
+const named = {
+  type: "object",
+  properties: { name: { type: "string" } },
+  required: ["name"],
+};
+
+const COMBINED_DATA_SCHEMA = {
+  type: "object",
+  properties: {
+    movies: { type: "record", values: movie },
+    venues: { type: "record", values: venue },
+    genres: { type: "record", values: named },
+    people: { type: "record", values: named },
+  },
+  required: ["movies", "venues", "genres"],
+};
+
+const IMDB_SCHEMA = {
+  type: "record",
+  values: {
+    type: "object",
+    properties: { rating: { type: "number" } },
+  },
+};
+
+const LETTERBOXD_SCHEMA = IMDB_SCHEMA;
+
+const rottenTomatoesScore = {
+  type: "object",
+  properties: {
+    all: {
+      type: "object",
+      properties: { score: { type: "number" } },
+    },
+  },
+};
+
+const ROTTEN_TOMATOES_SCHEMA = {
+  type: "record",
+  values: {
+    type: "object",
+    properties: {
+      critics: rottenTomatoesScore,
+      audience: rottenTomatoesScore,
+    },
+  },
+};
+
+/**
+ * Describe a value's type for error messages
+ */
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Format a property access for an issue path (e.g. movies["550"].title)
+ */
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return base ? `${base}.${key}` : key;
+  return `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Check a value's basic type against a schema node
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "id":
+      return typeof value === "string" || typeof value === "number";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+    case "record":
+      return describeType(value) === "object";
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {Object} [options]
+ * @param {string} [options.path] - Path of the value, used in issue messages
+ * @param {boolean} [options.optional] - Whether the value is an optional field (issues are warnings)
+ * @returns {Array<{severity: string, path: string, message: string}>}
+ */
+function validateSchema(value, schema, options = {}) {
+  const { path = "", optional = false } = options;
+  const issues = [];
+  const severity = optional ? "warning" : "error";
+
+  if (!matchesType(value, schema.type)) {
+    issues.push({
+      severity,
+      path: path || "(root)",
+      message: `expected ${schema.type === "record" ? "object" : schema.type}, got ${describeType(value)}`,
+    });
+    return issues;
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      issues.push(
+        ...validateSchema(item, schema.items, {
+          path: joinPath(path, index),
+          optional,
+        }),
+      );
+    });
+  }
+
+  if (schema.type === "record") {
+    Object.entries(value).forEach(([key, item]) => {
+      issues.push(
+        ...validateSchema(item, schema.values, {
+          path: joinPath(path, key),
+          optional,
+        }),
+      );
+    });
+  }
+
+  if (schema.type === "object") {
+    const required = schema.required || [];
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      const isRequired = required.includes(key);
+      const propertyPath = joinPath(path, key);
+
+      if (value[key] === undefined || value[key] === null) {
+        if (isRequired) {
+          // An error even inside an optional field, like a wrong type on
+          // the same field would be
+          issues.push({
+            severity: "error",
+            path: propertyPath,
+            message: "missing required field",
+          });
+        }
+        return;
+      }
+
+      issues.push(
+        ...validateSchema(value[key], propertySchema, {
+          path: propertyPath,
+          optional: !isRequired,
+        }),
+      );
+    });
+  }
+
+  return issues;
+}
+
+module.exports = {
+  COMBINED_DATA_SCHEMA,
+  IMDB_SCHEMA,
+  LETTERBOXD_SCHEMA,
+  ROTTEN_TOMATOES_SCHEMA,
+  validateSchema,
+};
@@ -0,0 +1,36 @@
+/**
+ * Errors that end a run with a message rather than a stack trace
+ *
+ * The CLI prints `message` and exits with `exitCode`:
+ * - 1: generation failed (e.g. movie not found, no poster, screenshot failed)
+ * - 2: invalid command line usage
+ * - 3: invalid input data (see data-loader.js)
+ */
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  INVALID_DATA: 3,
+};
+
+class SpotlightError extends Error {
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message);
+    this.name = "SpotlightError";
+    this.exitCode = exitCode;
+  }
+}
+
+class UsageError extends SpotlightError {
+  constructor(message) {
+    super(message, EXIT_CODES.USAGE);
+    this.name = "UsageError";
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  SpotlightError,
+  UsageError,
+};
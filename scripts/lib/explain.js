@@ -0,0 +1,109 @@
+const { findGenreIdByName } = require("./utils");
+const { loadData } = require("./data-loader");
+const { SpotlightError } = require("./errors");
+const { ROOT_DIR } = require("./output");
+const { loadSpotlightConfig } = require("./spotlight-config");
+const {
+  SPOTLIGHT_TYPES,
+  createFilterContext,
+  findSpotlightMovies,
+} = require("./spotlight-types");
+const { createCandidate, getFilters, evaluateFilters } = require("./filters");
+
+/**
+ * Find movies by TMDB ID / generated ID, or by a case-insensitive title fragment
+ */
+function findMatchingMovies(movies, query) {
+  if (movies[query]) {
+    return [movies[query]];
+  }
+
+  const fragment = query.toLowerCase();
+  return Object.values(movies)
+    .filter((movie) => movie.title?.toLowerCase().includes(fragment))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Explain which of a spotlight's criteria each matching movie passes and fails
+ * @param {string} query - TMDB ID or title fragment
+ * @param {Array<string>} spotlights - Spotlight names or config paths to check against
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @param {Object} [options.overrides] - Spotlight config overrides
+ * @param {string} [options.dataDir] - Directory holding combined-data/ and matched-data/ (see loadData)
+ */
+function explainMovie(query, spotlights, options = {}) {
+  const { now = new Date(), overrides, dataDir } = options;
+  const { data, imdbRatings } = loadData(ROOT_DIR, { dataDir });
+
+  const matches = findMatchingMovies(data.movies, query);
+  if (matches.length === 0) {
+    throw new SpotlightError(`No movie found matching "${query}"`);
+  }
+
+  console.log(`Current time: ${now.toISOString()}`);
+  const uncategorisedGenreId = findGenreIdByName(data.genres, "Uncategorised");
+
+  spotlights.forEach((spotlight) => {
+    const config = loadSpotlightConfig(spotlight, overrides);
+    const type = SPOTLIGHT_TYPES[config.type];
+    const { filters = {}, maxCollageMovies = 100 } = config;
+    const context = createFilterContext(uncategorisedGenreId, {
+      now,
+      filters,
+    });
+    const baseFilters = getFilters(type.filters);
+    const strictFilters = getFilters(type.strictFilters);
+
+    // Collage order matters for the maxCollageMovies limit
+    const collageIds = findSpotlightMovies(
+      type,
+      data,
+      imdbRatings,
+      uncategorisedGenreId,
+      { strictFilters: true, now, filters },
+    ).movies.map((movie) => movie.id);
+
+    console.log(`\n=== ${config.name} ===`);
+
+    matches.forEach((movie) => {
+      const candidate = createCandidate(movie, imdbRatings, context.now);
+      const baseResults = evaluateFilters(candidate, baseFilters, context);
+      const strictResults = evaluateFilters(candidate, strictFilters, context);
+
+      console.log(`\n${movie.title} (${movie.id})`);
+      baseResults.forEach(({ name, passed, reason }) => {
+        console.log(
+          `  ${passed ? "✓" : "✗"} ${name}${reason ? `: ${reason}` : ""}`,
+        );
+      });
+      strictResults.forEach(({ name, passed, reason }) => {
+        console.log(
+          `  ${passed ? "✓" : "✗"} ${name}${reason ? `: ${reason}` : ""} [collage only]`,
+        );
+      });
+
+      const failedBase = baseResults.filter((r) => !r.passed);
+      const failedStrict = strictResults.filter((r) => !r.passed);
+      const collageIndex = collageIds.indexOf(movie.id);
+
+      let result;
+      if (failedBase.length > 0) {
+        result = `not included (fails ${failedBase.map((r) => r.name).join(", ")})`;
+      } else if (failedStrict.length > 0) {
+        result = `social text only (fails collage filters: ${failedStrict.map((r) => r.name).join(", ")})`;
+      } else if (maxCollageMovies && collageIndex >= maxCollageMovies) {
+        result = `social text only (collage limited to ${maxCollageMovies} movies, this is #${collageIndex + 1})`;
+      } else {
+        result = "in the collage and the social text";
+      }
+      console.log(`  Result: ${result}`);
+    });
+  });
+}
+
+module.exports = {
+  findMatchingMovies,
+  explainMovie,
+};
@@ -0,0 +1,169 @@
+const { formatDate, getEarliestSeenTimestamp } = require("./utils");
+const { SpotlightError } = require("./errors");
+
+/**
+ * Named filter predicates shared by the spotlights
+ *
+ * Each filter is a function (candidate, context) that returns null when the
+ * movie passes, or a human-readable reason when it is rejected. Candidates are
+ * built once per movie with createCandidate, and the context holds the
+ * reference time, week boundaries and thresholds from the spotlight config.
+ */
+
+/**
+ * Pre-compute the facts filters and spotlights need about a movie
+ * @param {Object} movie - Movie from combined data
+ * @param {Object} imdbRatings - IMDB ratings keyed by movie ID
+ * @param {number} now - Reference time in epoch milliseconds
+ */
+function createCandidate(movie, imdbRatings, now) {
+  const performances = movie.performances || [];
+  const upcomingPerformances = performances.filter((p) => p.time > now);
+  const venueIds = movie.showings
+    ? new Set(Object.values(movie.showings).map((s) => s.venueId))
+    : new Set();
+
+  return {
+    movie,
+    rating: imdbRatings[movie.id]?.rating,
+    performances,
+    upcomingPerformances,
+    performanceCount: upcomingPerformances.length,
+    latestPerformanceTime:
+      performances.length > 0
+        ? Math.max(...performances.map((p) => p.time))
+        : null,
+    earliestSeen: getEarliestSeenTimestamp(movie),
+    venueCount: venueIds.size,
+  };
+}
+
+const FILTERS = {
+  // Has any performances listed at all
+  "has-performances": ({ performances }) =>
+    performances.length > 0 ? null : "no performances",
+
+  // Has at least one performance after the reference time
+  "has-upcoming-performances": ({ performanceCount }) =>
+    performanceCount > 0 ? null : "no upcoming performances",
+
+  // Last performance is before the end of the week (Sunday 23:59)
+  "ends-this-week": ({ latestPerformanceTime }, { endOfWeek }) =>
+    latestPerformanceTime <= endOfWeek.getTime()
+      ? null
+      : `last performance ${formatDate(latestPerformanceTime)} is after Sunday`,
+
+  // Feature-length film, to skip shorts
+  "feature-length": ({ movie }, { thresholds }) => {
+    const { minDurationMinutes = 60 } = thresholds;
+    if (!movie.duration) return "no duration";
+    const minutes = Math.round(movie.duration / 60000);
+    return movie.duration >= minDurationMinutes * 60 * 1000
+      ? null
+      : `duration ${minutes} min < ${minDurationMinutes} min`;
+  },
+
+  // Not in the "Uncategorised" genre (likely events, not proper films)
+  "not-uncategorised": ({ movie }, { uncategorisedGenreId }) =>
+    uncategorisedGenreId && movie.genres?.includes(uncategorisedGenreId)
+      ? "in Uncategorised genre"
+      : null,
+
+  "has-poster": ({ movie }) => (movie.posterPath ? null : "no poster"),
+
+  // Has actors listed (likely events or documentaries otherwise)
+  "has-actors": ({ movie }) =>
+    movie.actors && movie.actors.length > 0 ? null : "no actors listed",
+
+  "min-rating": ({ rating }, { thresholds }) => {
+    const { minImdbRating = 5 } = thresholds;
+    if (!rating) return "no IMDB rating";
+    return rating >= minImdbRating
+      ? null
+      : `rating ${rating} < ${minImdbRating}`;
+  },
+
+  // Not too many showings (widely available)
+  "max-performances": ({ performanceCount }, { thresholds }) => {
+    const { maxPerformances = 4 } = thresholds;
+    return maxPerformances == null || performanceCount <= maxPerformances
+      ? null
+      : `${performanceCount} performances > ${maxPerformances}`;
+  },
+
+  // Not in too many venues (likely blockbusters)
+  "max-venues": ({ venueCount }, { thresholds }) => {
+    const { maxVenues = 2 } = thresholds;
+    return maxVenues == null || venueCount <= maxVenues
+      ? null
+      : `${venueCount} venues > ${maxVenues}`;
+  },
+
+  // Has a "seen" timestamp on at least one showing
+  "has-seen-timestamp": ({ earliestSeen }) =>
+    earliestSeen ? null : "no seen timestamp",
+
+  // First seen this week (since Monday 00:00)
+  "first-seen-window": ({ earliestSeen }, { startOfWeek }) =>
+    earliestSeen >= startOfWeek.getTime()
+      ? null
+      : `first seen ${formatDate(earliestSeen)}, before Monday`,
+};
+
+/**
+ * Look up filters by name
+ * @param {Array<string>} names - Filter names (keys of FILTERS)
+ * @returns {Array<{name: string, test: Function}>}
+ */
+function getFilters(names) {
+  return names.map((name) => {
+    if (!FILTERS[name]) {
+      throw new SpotlightError(
+        `Unknown filter "${name}" (available: ${Object.keys(FILTERS).join(", ")})`,
+      );
+    }
+    return { name, test: FILTERS[name] };
+  });
+}
+
+/**
+ * Run every filter against a candidate, without stopping at the first failure
+ * @returns {Array<{name: string, passed: boolean, reason: string|null}>}
+ */
+function evaluateFilters(candidate, filters, context) {
+  return filters.map(({ name, test }) => {
+    const reason = test(candidate, context);
+    return { name, passed: reason === null, reason };
+  });
+}
+
+/**
+ * Split candidates into those passing every filter and those rejected,
+ * recording the first filter that rejected each one
+ * @returns {{accepted: Array, rejected: Array<{candidate: Object, filter: string, reason: string}>}}
+ */
+function applyFilters(candidates, filters, context) {
+  const accepted = [];
+  const rejected = [];
+
+  candidates.forEach((candidate) => {
+    for (const { name, test } of filters) {
+      const reason = test(candidate, context);
+      if (reason !== null) {
+        rejected.push({ candidate, filter: name, reason });
+        return;
+      }
+    }
+    accepted.push(candidate);
+  });
+
+  return { accepted, rejected };
+}
+
+module.exports = {
+  FILTERS,
+  createCandidate,
+  getFilters,
+  evaluateFilters,
+  applyFilters,
+};
@@ -0,0 +1,51 @@
+const { SpotlightError } = require("./errors");
+
+// Image formats for the collage spotlights. Sizes are the .poster-collage box
+// in pixels, with the short side always 1000px; keep in sync with the
+// [data-format] rules in the collage templates
+const FORMATS = {
+  square: { ratio: "1:1", width: 1000, height: 1000 }, // Feed posts
+  portrait: { ratio: "4:5", width: 1000, height: 1250 }, // Instagram feed
+  story: { ratio: "9:16", width: 1000, height: 1778 }, // Stories and Reels
+  landscape: { ratio: "16:9", width: 1778, height: 1000 }, // Link cards
+};
+
+const DEFAULT_FORMAT = "square";
+
+/**
+ * Resolve a format by name (e.g. 'portrait') or ratio (e.g. '4:5')
+ * @returns {string} - Format name
+ */
+function resolveFormat(nameOrRatio) {
+  if (FORMATS[nameOrRatio]) {
+    return nameOrRatio;
+  }
+
+  const byRatio = Object.keys(FORMATS).find(
+    (name) => FORMATS[name].ratio === nameOrRatio,
+  );
+  if (!byRatio) {
+    const available = Object.entries(FORMATS)
+      .map(([name, { ratio }]) => `${name} (${ratio})`)
+      .join(", ");
+    throw new SpotlightError(
+      `Unknown format "${nameOrRatio}" (expected one of: ${available})`,
+    );
+  }
+  return byRatio;
+}
+
+/**
+ * Name of the page generated for a format: the square page keeps the plain
+ * name (e.g. 'last-chance'), others get a suffix ('last-chance-story')
+ */
+function getPageName(name, format) {
+  return format === DEFAULT_FORMAT ? name : `${name}-${format}`;
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FORMAT,
+  resolveFormat,
+  getPageName,
+};
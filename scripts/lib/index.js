@@ -0,0 +1,47 @@
+/**
+ * Library API, for generating spotlights from other scripts
+ *
+ * Each generator writes its files and returns the run's HTML, texts and
+ * metadata. Pass the result to screenshotResult to render the PNG with the
+ * same run ID:
+ *
+ *   const { runSpotlight, screenshotResult } = require("generate-spotlights");
+ *   const result = runSpotlight("last-chance", { now, seed });
+ *   const { screenshotPath } = await screenshotResult(result);
+ */
+
+const { runSpotlight } = require("./spotlight-runner");
+const { generateSingleMovie, generateSingleMovies } = require("./single-movie");
+const { generateProgram } = require("./program");
+const {
+  takeScreenshot,
+  screenshotResult,
+  screenshotResults,
+  ScreenshotError,
+} = require("./screenshot");
+const { loadData, DataValidationError } = require("./data-loader");
+const { searchTitles } = require("./search");
+const {
+  loadSpotlightConfig,
+  listSpotlightConfigs,
+} = require("./spotlight-config");
+const { EXIT_CODES, SpotlightError, UsageError } = require("./errors");
+
+module.exports = {
+  runSpotlight,
+  generateSingleMovie,
+  generateSingleMovies,
+  generateProgram,
+  takeScreenshot,
+  screenshotResult,
+  screenshotResults,
+  loadData,
+  searchTitles,
+  loadSpotlightConfig,
+  listSpotlightConfigs,
+  EXIT_CODES,
+  SpotlightError,
+  UsageError,
+  DataValidationError,
+  ScreenshotError,
+};
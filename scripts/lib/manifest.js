@@ -0,0 +1,152 @@
+/**
+ * JSON manifest of a spotlight run (output/<name>_<runId>.json), so other
+ * tools can use the results without parsing the text files: the movies with
+ * their ratings, venues and performance times, each platform's posts, the
+ * page and screenshot paths, and the seed and reference time
+ */
+
+const fs = require("fs");
+const { getOutputPath, writeOutputFile } = require("./output");
+const { THREAD_SEPARATOR } = require("./social-text");
+const {
+  summarizeVenues,
+  listUpcomingPerformances,
+} = require("./venue-summary");
+
+// Bumped when fields are renamed or removed, so consumers can tell
+const MANIFEST_VERSION = 1;
+
+/**
+ * A movie's ratings from each source, null when missing
+ * @param {string} movieId - TMDB ID
+ * @param {Object} ratingSources - imdbRatings, letterboxdRatings and rottenTomatoesRatings (see loadData)
+ */
+function getRatings(movieId, ratingSources) {
+  const { imdbRatings, letterboxdRatings, rottenTomatoesRatings } =
+    ratingSources;
+  const rtData = rottenTomatoesRatings?.[movieId];
+
+  return {
+    imdb: imdbRatings?.[movieId]?.rating ?? null,
+    letterboxd: letterboxdRatings?.[movieId]?.rating ?? null,
+    rottenTomatoesCritics: rtData?.critics?.all?.score ?? null,
+    rottenTomatoesAudience: rtData?.audience?.all?.score ?? null,
+  };
+}
+
+/**
+ * Manifest entry for a movie: ID, title, year, ratings and its upcoming
+ * performances with their venues
+ * @param {Object} movie - Movie from combined data
+ * @param {Object} context
+ * @param {Object} context.data - Combined data (venues)
+ * @param {Object} context.ratingSources - See getRatings
+ * @param {Date} context.now - Reference time
+ * @param {Object} [context.showingsSource] - Where the performances are, when not the movie itself (e.g. its program)
+ */
+function describeMovie(movie, context) {
+  const { data, ratingSources, now, showingsSource = movie } = context;
+  const { venueNames, performanceCount } = summarizeVenues(
+    showingsSource,
+    data.venues,
+    { now },
+  );
+
+  return {
+    id: movie.id,
+    title: movie.title,
+    year: movie.releaseDate
+      ? new Date(movie.releaseDate).getFullYear()
+      : movie.year || null,
+    ratings: getRatings(movie.id, ratingSources),
+    venues: venueNames,
+    performanceCount,
+    performances: listUpcomingPerformances(
+      showingsSource,
+      data.venues,
+      now.getTime(),
+    ),
+  };
+}
+
+/**
+ * Write a run's manifest next to its text files
+ * @param {Object} result - Generator result (name, runId, now, pages, texts)
+ * @param {Object} details
+ * @param {Array<Object>} details.movies - The run's movies (see describeMovie), with any extra fields
+ * @param {Object} [details.program] - The program, for program spotlights
+ * @param {string|number} [details.seed] - Seed of the collage layout and text
+ * @param {Object} [options]
+ * @param {string} [options.outDir] - Directory holding output/ (defaults to the repo root)
+ * @param {boolean} [options.dryRun] - Log without writing
+ * @returns {{manifest: Object, manifestPath: string}}
+ */
+function writeManifest(result, details, options = {}) {
+  const { outDir, dryRun = false } = options;
+  const { movies, program = null, seed = null } = details;
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    spotlight: result.name,
+    runId: result.runId,
+    referenceTime: result.now.toISOString(),
+    seed,
+    images: result.pages.map((page) => ({
+      page: page.name,
+      format: page.format,
+      htmlPath: page.htmlPath,
+      // Filled in by recordScreenshots once a screenshot is captured
+      screenshotPath: null,
+    })),
+    posts: Object.fromEntries(
+      Object.entries(result.texts).map(([platform, { text, path }]) => [
+        platform,
+        { path, posts: text.split(THREAD_SEPARATOR) },
+      ]),
+    ),
+    program,
+    movies,
+  };
+
+  const manifestPath = getOutputPath(
+    `${result.name}_${result.runId}.json`,
+    outDir,
+  );
+  writeOutputFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, {
+    label: "Manifest saved",
+    dryRun,
+  });
+  return { manifest, manifestPath };
+}
+
+/**
+ * Record the screenshots taken of a run's pages in its manifest
+ * @param {Object} result - Generator result with manifestPath, and screenshotPath on the pages captured (see screenshotResults)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Leave the manifest as it is (a dry run doesn't write one)
+ */
+function recordScreenshots(result, options = {}) {
+  const { dryRun = false } = options;
+  if (!result.manifestPath || dryRun) {
+    return;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(result.manifestPath, "utf8"));
+  manifest.images = manifest.images.map((image) => ({
+    ...image,
+    screenshotPath:
+      result.pages.find((page) => page.name === image.page)?.screenshotPath ??
+      image.screenshotPath,
+  }));
+  writeOutputFile(
+    result.manifestPath,
+    `${JSON.stringify(manifest, null, 2)}\n`,
+    { label: "Manifest updated" },
+  );
+}
+
+module.exports = {
+  describeMovie,
+  writeManifest,
+  recordScreenshots,
+};
@@ -0,0 +1,67 @@
+/**
+ * Director and ratings of a movie, shared by the single movie and program
+ * spotlights so their pages and text stay the same
+ */
+
+/**
+ * Director's name from the people data, or the director field itself when
+ * it's already a name
+ */
+function getDirectorName(movie, people) {
+  const directorId = movie.director || movie.directors?.[0] || "";
+  if (directorId) {
+    const person = people?.[directorId];
+    return (
+      person?.name ||
+      (typeof directorId === "string" && !/^\d+$/.test(directorId)
+        ? directorId
+        : "")
+    );
+  }
+  return "";
+}
+
+/**
+ * A movie's IMDB, Letterboxd and Rotten Tomatoes ratings ("" when missing)
+ */
+function getRatingsForMovie(movie, sources) {
+  const imdbData = sources.imdbRatings[movie.id];
+  const imdbRating = imdbData?.rating || "";
+
+  const letterboxdData = sources.letterboxdRatings[movie.id];
+  const letterboxdRating = letterboxdData?.rating
+    ? letterboxdData.rating.toFixed(1)
+    : "";
+
+  const rtData = sources.rottenTomatoesRatings[movie.id];
+  const rtCriticsScore = rtData?.critics?.all?.score || "";
+  const rtAudienceScore = rtData?.audience?.all?.score || "";
+
+  return { imdbRating, letterboxdRating, rtCriticsScore, rtAudienceScore };
+}
+
+/**
+ * One line of a film's ratings for the social media text, e.g.
+ * "💚 3.9 /5 Letterboxd  •  ⭐ 7.8 /10 IMDB  •  🍅 94% 🍿 89% Rotten Tomatoes"
+ */
+function formatRatingsText(ratings) {
+  const parts = [];
+  if (ratings.letterboxdRating)
+    parts.push(`💚 ${ratings.letterboxdRating} /5 Letterboxd`);
+  if (ratings.imdbRating) parts.push(`⭐ ${ratings.imdbRating} /10 IMDB`);
+  if (ratings.rtCriticsScore !== "" || ratings.rtAudienceScore !== "") {
+    const scores = [];
+    if (ratings.rtCriticsScore !== "")
+      scores.push(`🍅 ${ratings.rtCriticsScore}%`);
+    if (ratings.rtAudienceScore !== "")
+      scores.push(`🍿 ${ratings.rtAudienceScore}%`);
+    parts.push(`${scores.join(" ")} Rotten Tomatoes`);
+  }
+  return parts.join("  •  ");
+}
+
+module.exports = {
+  getDirectorName,
+  getRatingsForMovie,
+  formatRatingsText,
+};
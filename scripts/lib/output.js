@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+
+// Repo root, the default output directory (site/ and output/ live here)
+const ROOT_DIR = path.join(__dirname, "..", "..");
+
+/**
+ * Resolve the output directory, holding site/ (HTML) and output/ (text and
+ * screenshots). Defaults to the repo root, or SPOTLIGHT_OUT_DIR if set
+ * @param {string} [outDir] - Explicit output directory
+ */
+function resolveOutDir(outDir) {
+  return path.resolve(outDir || process.env.SPOTLIGHT_OUT_DIR || ROOT_DIR);
+}
+
+/**
+ * Path of a generated HTML page (site/<name>.html)
+ */
+function getSitePath(name, outDir) {
+  return path.join(resolveOutDir(outDir), "site", `${name}.html`);
+}
+
+/**
+ * Path of a generated text file or screenshot (output/<fileName>)
+ */
+function getOutputPath(fileName, outDir) {
+  return path.join(resolveOutDir(outDir), "output", fileName);
+}
+
+/**
+ * Path of a page's screenshot (output/<pageName>_<runId>.png)
+ */
+function getScreenshotPath(pageName, runId, outDir) {
+  return getOutputPath(`${pageName}_${runId}.png`, outDir);
+}
+
+/**
+ * Write a generated file, creating its directory, and log where it went
+ * With dryRun set nothing is written, only logged
+ * @param {string} filePath - Where to write
+ * @param {string|Buffer} contents - File contents
+ * @param {Object} options
+ * @param {string} options.label - Log label (e.g. "HTML generated")
+ * @param {string} [options.details] - Extra detail appended to the log line
+ * @param {boolean} [options.dryRun] - Log without writing
+ */
+function writeOutputFile(filePath, contents, options) {
+  const { label, details, dryRun = false } = options;
+  const suffix = details ? ` (${details})` : "";
+
+  if (dryRun) {
+    console.log(`${label} (dry run, not written): ${filePath}${suffix}`);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents, "utf8");
+  console.log(`${label}: ${filePath}${suffix}`);
+}
+
+/**
+ * Write a generated HTML page to site/<name>.html
+ * Templates load ../assets/, so the assets are copied alongside when writing
+ * outside the repo
+ * @returns {string} - Path of the page
+ */
+function writeSiteHtml(name, html, options = {}) {
+  const { outDir, dryRun = false } = options;
+  const htmlPath = getSitePath(name, outDir);
+  const outRoot = resolveOutDir(outDir);
+
+  if (!dryRun && outRoot !== ROOT_DIR) {
+    fs.cpSync(path.join(ROOT_DIR, "assets"), path.join(outRoot, "assets"), {
+      recursive: true,
+    });
+  }
+
+  writeOutputFile(htmlPath, html, { label: "\nHTML generated", dryRun });
+  return htmlPath;
+}
+
+module.exports = {
+  ROOT_DIR,
+  resolveOutDir,
+  getSitePath,
+  getOutputPath,
+  getScreenshotPath,
+  writeOutputFile,
+  writeSiteHtml,
+};
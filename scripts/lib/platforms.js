@@ -0,0 +1,158 @@
+const { SpotlightError } = require("./errors");
+const {
+  generateSocialText,
+  generateInstagramCompactText,
+  chunkForThread,
+} = require("./social-text");
+const {
+  countCodePoints,
+  countGraphemes,
+  countTwitterLength,
+  countMastodonLength,
+} = require("./text-length");
+
+/**
+ * Post the full social text as one post, shortened to the platform's limit
+ * if it has one
+ */
+function formatPost(movies, venues, config) {
+  return generateSocialText(movies, venues, config);
+}
+
+/**
+ * Split the full social text into a thread of posts within the platform's
+ * limit
+ */
+function formatThread(movies, venues, config) {
+  // The platform's limit is per post, not for the whole thread
+  const fullText = generateSocialText(movies, venues, {
+    ...config,
+    platform: { ...config.platform, charLimit: null },
+  });
+  return chunkForThread(fullText, {
+    maxLength: config.platform.charLimit,
+    countLength: config.platform.countLength,
+  });
+}
+
+/**
+ * Instagram caption: top picks and a venue summary when the spotlight opts
+ * in with useInstagramCompact, otherwise the full text
+ */
+function formatInstagram(movies, venues, config) {
+  return config.useInstagramCompact
+    ? generateInstagramCompactText(movies, venues, config)
+    : generateSocialText(movies, venues, config);
+}
+
+// Social platforms the spotlights write text for. Each declares:
+// - label: name in the logs
+// - charLimit: characters per post (null for no limit), which a spotlight
+//   can override with socialText.charLimits (e.g. for a Mastodon instance
+//   allowing longer posts)
+// - countLength: length of a post as the platform counts it (see
+//   text-length.js, which also counts links the way each platform does),
+//   used wherever charLimit is enforced
+// - handleField: key of the venue's handle in venue.socials (null for none)
+// - threads: whether long text becomes a thread of posts
+// - compact: plain movie lines without emoji bullets
+// - format: (movies, venues, config) => text, given the social text config
+//   with `platform` set to this entry
+const PLATFORMS = {
+  twitter: {
+    label: "Twitter/X",
+    charLimit: 280,
+    countLength: countTwitterLength,
+    handleField: "twitter",
+    threads: true,
+    compact: true,
+    format: formatThread,
+  },
+  instagram: {
+    label: "Instagram",
+    charLimit: 2000,
+    countLength: countCodePoints,
+    handleField: "instagram",
+    threads: false,
+    compact: true,
+    format: formatInstagram,
+  },
+  bluesky: {
+    label: "Bluesky",
+    charLimit: 300,
+    countLength: countGraphemes,
+    handleField: "bluesky",
+    threads: true,
+    compact: true,
+    format: formatThread,
+  },
+  mastodon: {
+    label: "Mastodon",
+    charLimit: 500,
+    countLength: countMastodonLength,
+    handleField: "mastodon",
+    threads: true,
+    compact: true,
+    format: formatThread,
+  },
+  threads: {
+    label: "Threads",
+    charLimit: 500,
+    countLength: countCodePoints,
+    handleField: "threads",
+    threads: true,
+    compact: true,
+    format: formatThread,
+  },
+  facebook: {
+    label: "Facebook",
+    charLimit: null,
+    countLength: countCodePoints,
+    handleField: "facebook",
+    threads: false,
+    compact: false,
+    format: formatPost,
+  },
+  generic: {
+    label: "Generic",
+    charLimit: null,
+    countLength: countCodePoints,
+    handleField: null,
+    threads: false,
+    compact: false,
+    format: formatPost,
+  },
+};
+
+// Lowest limit socialText.charLimits can set, leaving a thread post room
+// for its counter and a line of text
+const MIN_CHAR_LIMIT = 50;
+
+// Platforms written when a spotlight config doesn't list its own
+const DEFAULT_PLATFORMS = ["twitter", "instagram", "generic"];
+
+/**
+ * Look up a platform by name (e.g. 'bluesky')
+ * @param {string} name - Platform name
+ * @param {Object} [charLimits] - Character limits overriding the defaults, by platform name (e.g. { mastodon: 1000 })
+ * @returns {Object} - The platform's entry in PLATFORMS, with its name
+ */
+function getPlatform(name, charLimits = {}) {
+  if (!PLATFORMS[name]) {
+    throw new SpotlightError(
+      `Unknown platform "${name}" (expected one of: ${Object.keys(PLATFORMS).join(", ")})`,
+    );
+  }
+  return {
+    name,
+    ...PLATFORMS[name],
+    charLimit: charLimits[name] ?? PLATFORMS[name].charLimit,
+  };
+}
+
+module.exports = {
+  PLATFORMS,
+  MIN_CHAR_LIMIT,
+  DEFAULT_PLATFORMS,
+  getPlatform,
+};
@@ -0,0 +1,332 @@
+const fs = require("fs");
+const path = require("path");
+const { getTimestamp, escapeHtml } = require("./utils");
+const {
+  summarizeVenues,
+  formatVenueList,
+  getShowingText,
+} = require("./venue-summary");
+const { loadData } = require("./data-loader");
+const { SpotlightError } = require("./errors");
+const { DEFAULT_FORMAT } = require("./formats");
+const { resolveTitleId } = require("./search");
+const {
+  getDirectorName,
+  getRatingsForMovie,
+  formatRatingsText,
+} = require("./movie-details");
+const { describeMovie, writeManifest } = require("./manifest");
+const {
+  ROOT_DIR,
+  getOutputPath,
+  writeOutputFile,
+  writeSiteHtml,
+} = require("./output");
+
+// Configuration constants
+const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p/w500";
+// Label, hashtag and template layout by number of films; larger programs are
+// marathons
+const PROGRAM_LABELS = {
+  1: {
+    title: "Special Screening",
+    hashtag: "#SpecialScreening",
+    layout: "single",
+  },
+  2: { title: "Double Feature", hashtag: "#DoubleFeature", layout: "double" },
+  3: { title: "Triple Bill", hashtag: "#TripleBill", layout: "triple" },
+};
+// Most posters in a row of the "many" layout
+const MAX_POSTER_COLUMNS = 4;
+// Template sections repeated for each film, with {{FILM_*}} placeholders
+const FILM_BLOCK_PATTERN =
+  /<!-- EACH_FILM -->([\s\S]*?)<!-- END_EACH_FILM -->/g;
+
+/**
+ * Label, hashtag and template layout for a program of a number of films
+ */
+function getProgramLabel(count) {
+  return (
+    PROGRAM_LABELS[count] || {
+      title: `${count}-Film Marathon`,
+      hashtag: "#FilmMarathon",
+      layout: "many",
+    }
+  );
+}
+
+/**
+ * Posters per row: one row for up to 3 films, then two rows (e.g. 2x2, 3x2)
+ * until the rows are full
+ */
+function getPosterColumns(count) {
+  if (count <= 3) {
+    return count;
+  }
+  return Math.min(MAX_POSTER_COLUMNS, Math.ceil(count / 2));
+}
+
+/**
+ * Values for a film's {{FILM_*}} template placeholders, hiding the rating
+ * badges when scores are unavailable
+ */
+function getFilmPlaceholders(film) {
+  const { movie, ratings } = film;
+  const hasCritics = ratings.rtCriticsScore !== "";
+  const hasAudience = ratings.rtAudienceScore !== "";
+
+  return {
+    FILM_INDEX: String(film.index),
+    FILM_TITLE: escapeHtml(movie.title),
+    FILM_YEAR: String(film.year),
+    FILM_POSTER_URL: film.posterUrl,
+    FILM_DIRECTOR: escapeHtml(film.director),
+    FILM_SYNOPSIS: escapeHtml(film.synopsis),
+    FILM_IMDB: String(ratings.imdbRating),
+    FILM_LETTERBOXD: ratings.letterboxdRating,
+    FILM_RT_CRITICS: hasCritics ? `${ratings.rtCriticsScore}%` : "",
+    FILM_RT_AUDIENCE: hasAudience ? `${ratings.rtAudienceScore}%` : "",
+    FILM_LETTERBOXD_HIDDEN: ratings.letterboxdRating ? "" : "hidden",
+    FILM_IMDB_HIDDEN: ratings.imdbRating ? "" : "hidden",
+    FILM_RT_HIDDEN: hasCritics || hasAudience ? "" : "hidden",
+    FILM_RT_CRITICS_HIDDEN: hasCritics ? "" : "hidden",
+    FILM_RT_AUDIENCE_HIDDEN: hasAudience ? "" : "hidden",
+  };
+}
+
+/**
+ * Generate a program spotlight for a listing of one or more films (double
+ * features, triple bills, marathons), laid out by the number of films
+ * @param {string} query - The generated program ID (e.g., "097696a9"), or a
+ *   title matching one program or the films in it (see search.js)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @param {string} [options.dataDir] - Directory holding combined-data/ and matched-data/ (see loadData)
+ * @param {string} [options.outDir] - Directory to write site/ and output/ to (defaults to the repo root)
+ * @param {boolean} [options.dryRun] - Log what would be generated without writing any files
+ * @param {string} [options.runId] - ID shared by the run's output filenames (defaults to the reference time, e.g. 2026-02-01_1900)
+ * @param {string} [options.venue] - Venue name (or part of one), to narrow down a title
+ * @returns {Object} - Run result: name, runId, now, pages, html, htmlPath,
+ *   texts ({ generic: { text, path } }), program details and manifestPath (see manifest.js)
+ */
+function generateProgram(query, options = {}) {
+  const {
+    now: referenceTime = new Date(),
+    dataDir,
+    outDir,
+    dryRun = false,
+    runId = getTimestamp(referenceTime),
+    venue,
+  } = options;
+  const { data, imdbRatings, letterboxdRatings, rottenTomatoesRatings } =
+    loadData(ROOT_DIR, { dataDir });
+  const programId = resolveTitleId(data, query, {
+    type: "program",
+    venue,
+    now: referenceTime,
+  });
+
+  // Find the program by generated ID
+  const program = data.movies[programId];
+
+  if (!program) {
+    throw new SpotlightError(
+      `Program with ID ${programId} not found in data\n` +
+        `Make sure you're using a generated ID (e.g., "097696a9"), not a TMDB ID`,
+    );
+  }
+
+  const includedMovies = program.includedMovies || [];
+  if (includedMovies.length === 0) {
+    throw new SpotlightError(
+      `Program "${program.title}" has no included movies\n` +
+        `Use the "movie" command instead.`,
+    );
+  }
+
+  console.log(`\nGenerating program spotlight for: ${program.title}`);
+  console.log(`  Program ID: ${programId}`);
+  includedMovies.forEach((movie, index) => {
+    console.log(`  Movie ${index + 1}: ${movie.title}`);
+  });
+
+  // Validate every movie has a poster
+  const missingPosters = includedMovies.filter((movie) => !movie.posterPath);
+  if (missingPosters.length > 0) {
+    const missing = missingPosters.map(
+      (movie) => `  ${movie.title} has no poster`,
+    );
+    throw new SpotlightError(
+      `${missingPosters.length} of ${includedMovies.length} movies are missing posters\n${missing.join("\n")}`,
+    );
+  }
+
+  // Get venues where the program is showing and find the last performance
+  const venueSummary = summarizeVenues(program, data.venues, {
+    now: referenceTime,
+  });
+  const venuesText = formatVenueList(venueSummary.venues, { format: "html" });
+  // Also as plain text (without HTML) for the social media text
+  const venuesPlainText = formatVenueList(venueSummary.venues);
+  console.log(
+    `  Venues (${venueSummary.venues.length} total): ${venuesPlainText || "none"}`,
+  );
+
+  // Extract program year
+  const programYear = program.releaseDate
+    ? new Date(program.releaseDate).getFullYear()
+    : program.year || "";
+
+  const programSynopsis = program.overview || program.synopsis || "";
+  const label = getProgramLabel(includedMovies.length);
+
+  const films = includedMovies.map((movie, index) => ({
+    movie,
+    index: index + 1,
+    year: movie.releaseDate
+      ? new Date(movie.releaseDate).getFullYear()
+      : movie.year || "",
+    director: getDirectorName(movie, data.people),
+    synopsis: movie.overview || movie.synopsis || "",
+    posterUrl: TMDB_IMAGE_BASE + movie.posterPath,
+    ratings: getRatingsForMovie(movie, {
+      imdbRatings,
+      letterboxdRatings,
+      rottenTomatoesRatings,
+    }),
+  }));
+
+  // Load the template
+  const templatePath = path.join(ROOT_DIR, "templates", "program.html");
+  let template = fs.readFileSync(templatePath, "utf8");
+
+  // Repeat each per-film block, then replace the program placeholders
+  template = template.replace(FILM_BLOCK_PATTERN, (_, block) =>
+    films
+      .map((film) => {
+        const values = getFilmPlaceholders(film);
+        return block.replace(
+          /\{\{(FILM_[A-Z_]+)\}\}/g,
+          (placeholder, name) => values[name] ?? placeholder,
+        );
+      })
+      .join(""),
+  );
+  template = template.replace(
+    /\{\{PROGRAM_TITLE\}\}/g,
+    escapeHtml(program.title),
+  );
+  template = template.replace(/\{\{PROGRAM_YEAR\}\}/g, programYear);
+  template = template.replace(
+    /\{\{PROGRAM_SYNOPSIS\}\}/g,
+    escapeHtml(programSynopsis),
+  );
+  template = template.replace(/\{\{PROGRAM_LABEL\}\}/g, label.title);
+  template = template.replace(/\{\{PROGRAM_LAYOUT\}\}/g, label.layout);
+  template = template.replace(
+    /\{\{POSTER_COLUMNS\}\}/g,
+    getPosterColumns(films.length),
+  );
+
+  // Venues
+  template = template.replace(/\{\{VENUES_TEXT\}\}/g, venuesText);
+
+  // Write the HTML file
+  const htmlPath = writeSiteHtml("program", template, { outDir, dryRun });
+
+  // Generate social media text
+  const infoPath = getOutputPath(`program_${runId}.txt`, outDir);
+
+  // Build social media text
+  let info = `🎬 ${label.title.toUpperCase()} SPOTLIGHT! 🎬\n\n`;
+  info += `${program.title}`;
+  if (programYear) info += ` (${programYear})`;
+  info += `\n\n`;
+
+  films.forEach((film) => {
+    info += `🎥 ${film.movie.title}`;
+    if (film.year) info += ` (${film.year})`;
+    info += `\n`;
+    if (film.director) info += `Directed by ${film.director}\n`;
+
+    const ratingsText = formatRatingsText(film.ratings);
+    if (ratingsText) {
+      info += `${ratingsText}\n`;
+    }
+    info += `\n`;
+  });
+  info += `📍 ${getShowingText(venueSummary, venuesPlainText)}\n\n`;
+  info += `🌐 Every film, every cinema, one place. Find showtimes at Clusterflick.com\n\n`;
+  info += `---\n\n`;
+  info += `${label.hashtag} #LondonCinema #IndieFilm #Clusterflick\n\n`;
+  info += `✨ Discover something special at the cinema!`;
+
+  writeOutputFile(infoPath, info, {
+    label: "Social media text saved",
+    dryRun,
+  });
+
+  const result = {
+    name: "program",
+    runId,
+    now: referenceTime,
+    pages: [
+      { name: "program", format: DEFAULT_FORMAT, html: template, htmlPath },
+    ],
+    html: template,
+    htmlPath,
+    texts: { generic: { text: info, path: infoPath } },
+    program: {
+      id: programId,
+      title: program.title,
+      year: programYear,
+      venues: venueSummary.venueNames,
+      performanceCount: venueSummary.performanceCount,
+      movies: films.map((film) => ({
+        id: film.movie.id,
+        title: film.movie.title,
+        year: film.year,
+        director: film.director,
+        posterUrl: film.posterUrl,
+        ratings: {
+          imdb: film.ratings.imdbRating,
+          letterboxd: film.ratings.letterboxdRating,
+          rottenTomatoesCritics: film.ratings.rtCriticsScore,
+          rottenTomatoesAudience: film.ratings.rtAudienceScore,
+        },
+      })),
+    },
+  };
+
+  const ratingSources = {
+    imdbRatings,
+    letterboxdRatings,
+    rottenTomatoesRatings,
+  };
+  const { manifestPath } = writeManifest(
+    result,
+    {
+      program: {
+        ...describeMovie(program, { data, ratingSources, now: referenceTime }),
+        label: label.title,
+      },
+      movies: films.map((film) => ({
+        ...describeMovie(film.movie, {
+          data,
+          ratingSources,
+          now: referenceTime,
+          showingsSource: program,
+        }),
+        director: film.director,
+        posterUrl: film.posterUrl,
+      })),
+    },
+    { outDir, dryRun },
+  );
+
+  return { ...result, manifestPath };
+}
+
+module.exports = {
+  generateProgram,
+};
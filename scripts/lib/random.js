@@ -0,0 +1,64 @@
+/**
+ * Seeded pseudo-random number generation, so layouts can be reproduced
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Generate a new random seed (8 hex characters)
+ */
+function generateSeed() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+/**
+ * Hash a seed of any type to a 32-bit unsigned integer (FNV-1a)
+ * @param {string|number} seed - Seed value
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * Drop-in replacement for Math.random: returns floats in [0, 1)
+ * @param {string|number} seed - Seed value; the same seed always gives the same sequence
+ * @returns {Function}
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle an array without bias (Fisher-Yates), returning a new array
+ * @param {Array} items - Items to shuffle
+ * @param {Function} [random] - Random number generator (defaults to Math.random)
+ */
+function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = {
+  generateSeed,
+  hashSeed,
+  createRandom,
+  shuffle,
+};
@@ -0,0 +1,490 @@
+const fs = require("fs");
+const { chromium, errors } = require("playwright");
+const { getTimestamp } = require("./utils");
+const { SpotlightError } = require("./errors");
+const { getScreenshotPath, getSitePath, writeOutputFile } = require("./output");
+const {
+  FORMATS,
+  DEFAULT_FORMAT,
+  resolveFormat,
+  getPageName,
+} = require("./formats");
+const { PLACEHOLDER_POSTER } = require("./asset-cache");
+const { recordScreenshots } = require("./manifest");
+
+// Room around the page content (padding, border and glow) in the viewport
+const VIEWPORT_MARGIN = 200;
+// Images to wait for when the template doesn't declare them
+const DEFAULT_IMAGE_SELECTOR = "#content img";
+const IMAGE_TIMEOUT_MS = 60000;
+const FONT_TIMEOUT_MS = 30000;
+
+// What to do when a poster doesn't load:
+// - fail: stop and report the failed images
+// - retry: reload the failed images IMAGE_RETRIES times, then fail
+// - placeholder: show the placeholder poster instead
+const IMAGE_POLICIES = ["fail", "retry", "placeholder"];
+const DEFAULT_IMAGE_POLICY = "fail";
+// Offline, an uncached poster can never load, so show the placeholder instead
+const OFFLINE_IMAGE_POLICY = "placeholder";
+const IMAGE_RETRIES = 2;
+const RETRY_DELAY_MS = 2000;
+
+/**
+ * Thrown when a page can't be captured. `failures` lists what went wrong,
+ * e.g. each poster that didn't load ({ src, alt }) or each page that failed
+ */
+class ScreenshotError extends SpotlightError {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = "ScreenshotError";
+    this.failures = failures;
+  }
+}
+
+/**
+ * Check an image policy name, defaulting by whether the network is available
+ * @param {string} [policy]
+ * @param {boolean} [offline]
+ * @returns {string} - The policy
+ */
+function resolveImagePolicy(policy, offline = false) {
+  if (policy === undefined) {
+    return offline ? OFFLINE_IMAGE_POLICY : DEFAULT_IMAGE_POLICY;
+  }
+  if (!IMAGE_POLICIES.includes(policy)) {
+    throw new SpotlightError(
+      `Unknown missing image policy "${policy}" (expected one of: ${IMAGE_POLICIES.join(", ")})`,
+    );
+  }
+  return policy;
+}
+
+/**
+ * What the page needs loaded before it's captured, declared by the template
+ * on its #content element:
+ * - data-ready-images: selector for the images to wait for (default: every
+ *   image in #content)
+ * - data-ready-fonts: fonts to wait for, as CSS font shorthands separated by
+ *   semicolons (e.g. "700 16px Montserrat; 400 16px Inter")
+ * @returns {Promise<{imageSelector: string, fonts: Array<string>}>}
+ */
+async function getReadiness(page, htmlPath) {
+  const readiness = await page.evaluate(() => {
+    const content = document.querySelector("#content");
+    return content && { ...content.dataset };
+  });
+  if (!readiness) {
+    throw new ScreenshotError(`Could not find #content element in ${htmlPath}`);
+  }
+
+  return {
+    imageSelector: readiness.readyImages || DEFAULT_IMAGE_SELECTOR,
+    fonts: (readiness.readyFonts || "")
+      .split(";")
+      .map((font) => font.trim())
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Wait until every image has loaded or failed. Images still loading after
+ * the timeout count as failed
+ */
+async function waitForImagesSettled(page, selector) {
+  try {
+    await page.waitForFunction(
+      (selector) =>
+        Array.from(document.querySelectorAll(selector)).every(
+          (img) => img.complete,
+        ),
+      selector,
+      { timeout: IMAGE_TIMEOUT_MS },
+    );
+  } catch (error) {
+    if (!(error instanceof errors.TimeoutError)) {
+      throw error;
+    }
+    console.warn(`Images still loading after ${IMAGE_TIMEOUT_MS / 1000}s`);
+  }
+}
+
+/**
+ * Images that haven't loaded
+ * @returns {Promise<Array<{src: string, alt: string}>>}
+ */
+function getFailedImages(page, selector) {
+  return page.evaluate(
+    (selector) =>
+      Array.from(document.querySelectorAll(selector))
+        .filter((img) => !img.complete || img.naturalHeight === 0)
+        .map((img) => ({ src: img.src, alt: img.alt })),
+    selector,
+  );
+}
+
+/**
+ * Reload the failed images, from the placeholder if given
+ */
+async function reloadFailedImages(page, selector, placeholder) {
+  await page.evaluate(
+    ({ selector, placeholder }) =>
+      Array.from(document.querySelectorAll(selector))
+        .filter((img) => !img.complete || img.naturalHeight === 0)
+        .forEach((img) => {
+          const src = placeholder || img.src;
+          img.src = "";
+          img.src = src;
+        }),
+    { selector, placeholder },
+  );
+  await waitForImagesSettled(page, selector);
+}
+
+/**
+ * Wait for the images, applying the missing image policy to any that fail
+ */
+async function waitForImages(page, selector, imagePolicy) {
+  console.log("Waiting for images to load...");
+  const count = await page.evaluate(
+    (selector) => document.querySelectorAll(selector).length,
+    selector,
+  );
+  if (count === 0) {
+    console.warn(`Warning: no images match "${selector}"`);
+  }
+
+  await waitForImagesSettled(page, selector);
+  let failed = await getFailedImages(page, selector);
+
+  if (imagePolicy === "retry") {
+    for (let attempt = 1; attempt <= IMAGE_RETRIES; attempt++) {
+      if (failed.length === 0) {
+        break;
+      }
+      console.log(
+        `Retrying ${failed.length} image(s) (attempt ${attempt} of ${IMAGE_RETRIES})...`,
+      );
+      await page.waitForTimeout(RETRY_DELAY_MS);
+      await reloadFailedImages(page, selector);
+      failed = await getFailedImages(page, selector);
+    }
+  }
+
+  if (failed.length === 0) {
+    console.log("Images loaded");
+    return;
+  }
+
+  failed.forEach(({ src, alt }) => {
+    console.warn(`Image failed to load: ${src} (${alt})`);
+  });
+
+  if (imagePolicy !== "placeholder") {
+    throw new ScreenshotError(
+      `${failed.length} image(s) failed to load: ${failed.map(({ src }) => src).join(", ")}`,
+      failed,
+    );
+  }
+
+  await reloadFailedImages(page, selector, PLACEHOLDER_POSTER);
+  const stillFailed = await getFailedImages(page, selector);
+  if (stillFailed.length > 0) {
+    throw new ScreenshotError(
+      `Placeholder poster failed to load for ${stillFailed.length} image(s)`,
+      failed,
+    );
+  }
+  console.warn(`Using the placeholder for ${failed.length} poster(s)`);
+}
+
+/**
+ * Wait for web fonts to load. Fonts the template declares that don't load
+ * (e.g. offline without local copies) are logged, and the page is captured
+ * with the fallback font
+ */
+async function waitForFonts(page, fonts) {
+  console.log("Waiting for fonts to load...");
+  const handle = await page.waitForFunction(
+    async (fonts) => {
+      await document.fonts.ready;
+      const loaded = await Promise.all(
+        fonts.map((font) =>
+          document.fonts
+            .load(font)
+            .then((faces) => faces.length > 0)
+            .catch(() => false),
+        ),
+      );
+      return { missing: fonts.filter((font, i) => !loaded[i]) };
+    },
+    fonts,
+    { timeout: FONT_TIMEOUT_MS },
+  );
+  const { missing } = await handle.jsonValue();
+
+  missing.forEach((font) => {
+    console.warn(`Warning: font didn't load, using a fallback: ${font}`);
+  });
+  console.log("Fonts loaded");
+}
+
+/**
+ * Save the page's HTML and console log next to its screenshot, to debug a
+ * failed capture (e.g. output/last-chance_2026-02-01_1900-debug.html)
+ */
+async function saveDebugFiles(page, outputPath, log) {
+  const debugPath = outputPath.replace(/\.png$/, "-debug");
+
+  try {
+    writeOutputFile(`${debugPath}.html`, await page.content(), {
+      label: "Debug HTML saved",
+    });
+  } catch (error) {
+    log.push(`[debug] Couldn't read the page HTML: ${error.message}`);
+  }
+  writeOutputFile(`${debugPath}.log`, `${log.join("\n")}\n`, {
+    label: "Console log saved",
+    details: `${log.length} lines`,
+  });
+}
+
+/**
+ * Screenshot the #content element of a generated page
+ * On failure the page's HTML and console log are saved for debugging
+ */
+async function capturePage(browser, target, options) {
+  const { htmlPath, outputPath, format } = target;
+  const { offline, imagePolicy } = options;
+
+  // Offline, remote requests fail and only local files load
+  const context = await browser.newContext({ offline });
+  const page = await context.newPage();
+
+  // Everything the page reports, for the debug log
+  const log = [];
+  page.on("console", (message) => {
+    log.push(`[console.${message.type()}] ${message.text()}`);
+  });
+  page.on("pageerror", (error) => {
+    log.push(`[pageerror] ${error.message}`);
+  });
+  page.on("requestfailed", (request) => {
+    log.push(
+      `[requestfailed] ${request.url()} (${request.failure()?.errorText})`,
+    );
+  });
+  page.on("response", (response) => {
+    if (response.status() >= 400) {
+      log.push(`[response ${response.status()}] ${response.url()}`);
+    }
+  });
+
+  try {
+    // Set a large viewport to ensure content isn't clipped
+    const { width, height } = FORMATS[format];
+    await page.setViewportSize({
+      width: width + VIEWPORT_MARGIN,
+      height: height + VIEWPORT_MARGIN,
+    });
+
+    // Load the HTML file
+    console.log(`Opening: ${htmlPath}`);
+    await page.goto(`file://${htmlPath}`);
+
+    const { imageSelector, fonts } = await getReadiness(page, htmlPath);
+    await waitForImages(page, imageSelector, imagePolicy);
+    await waitForFonts(page, fonts);
+
+    // Small extra delay to ensure rendering is complete
+    await page.waitForTimeout(500);
+
+    // Screenshot the #content element
+    const content = await page.$("#content");
+    await content.screenshot({ path: outputPath });
+    console.log(`Screenshot saved: ${outputPath}`);
+  } catch (error) {
+    log.push(`[error] ${error.message}`);
+    await saveDebugFiles(page, outputPath, log);
+    throw error;
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Screenshot generated pages in one browser session. Every page is tried,
+ * and each one's outcome returned (see throwCaptureFailures)
+ * @param {Array<{htmlPath: string, outputPath: string, format: string}>} pages
+ * @param {Object} [options]
+ * @param {boolean} [options.offline] - Disable the network, so only local files load
+ * @param {string} [options.imagePolicy] - What to do when a poster doesn't load: fail (default), retry or placeholder (default offline)
+ * @param {boolean} [options.dryRun] - Log what would be captured without opening a browser
+ * @returns {Promise<Array<{htmlPath: string, outputPath: string, error: Error|null}>>} -
+ *   One entry per page, in order, with the error if it failed
+ */
+async function capturePages(pages, options = {}) {
+  const { offline = false, dryRun = false } = options;
+  const imagePolicy = resolveImagePolicy(options.imagePolicy, offline);
+
+  if (dryRun) {
+    return pages.map(({ htmlPath, outputPath }) => {
+      console.log(
+        `Screenshot (dry run, not taken): ${htmlPath} -> ${outputPath}`,
+      );
+      return { htmlPath, outputPath, error: null };
+    });
+  }
+
+  const captured = [];
+  const browser = await chromium.launch();
+  try {
+    for (const page of pages) {
+      const { htmlPath, outputPath } = page;
+      try {
+        await capturePage(browser, page, { offline, imagePolicy });
+        captured.push({ htmlPath, outputPath, error: null });
+      } catch (error) {
+        console.error(`Screenshot failed: ${htmlPath}`);
+        captured.push({ htmlPath, outputPath, error });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+  return captured;
+}
+
+/**
+ * Throw if any page failed to capture: a single page's own error, or a
+ * ScreenshotError listing every failed page
+ * @param {Array<Object>} captured - From capturePages
+ */
+function throwCaptureFailures(captured) {
+  const failures = captured.filter(({ error }) => error);
+  if (failures.length === 1 && captured.length === 1) {
+    throw failures[0].error;
+  }
+  if (failures.length > 0) {
+    throw new ScreenshotError(
+      `${failures.length} of ${captured.length} screenshots failed:\n${failures
+        .map(({ htmlPath, error }) => `  ${htmlPath}: ${error.message}`)
+        .join("\n")}`,
+      failures,
+    );
+  }
+}
+
+/**
+ * Take a screenshot of a generated HTML file
+ * @param {string} spotlightType - The type of spotlight (e.g., 'last-chance', 'new-films')
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time, used for the filename timestamp
+ * @param {string} [options.runId] - ID for the filename (defaults to the reference time, e.g. 2026-02-01_1900)
+ * @param {Array<string>} [options.formats] - Image formats to capture (defaults to square, see formats.js)
+ * @param {string} [options.outDir] - Directory holding site/ and output/ (defaults to the repo root)
+ * @param {boolean} [options.offline] - Disable the network, so only local files load
+ * @param {string} [options.imagePolicy] - What to do when a poster doesn't load: fail (default), retry or placeholder (default offline)
+ * @param {boolean} [options.dryRun] - Log what would be captured without opening a browser
+ * @returns {Promise<Array<string>>} - Paths of the screenshots, one per format
+ */
+async function takeScreenshot(spotlightType, options = {}) {
+  const {
+    now = new Date(),
+    runId = getTimestamp(now),
+    formats = [DEFAULT_FORMAT],
+    outDir,
+    offline = false,
+    imagePolicy,
+    dryRun = false,
+  } = options;
+
+  const pages = formats.map(resolveFormat).map((format) => {
+    const pageName = getPageName(spotlightType, format);
+    const htmlPath = getSitePath(pageName, outDir);
+    if (!dryRun && !fs.existsSync(htmlPath)) {
+      const formatHint =
+        format === DEFAULT_FORMAT ? "" : ` with --format ${format}`;
+      throw new SpotlightError(
+        `No generated HTML at ${htmlPath}, run the "${spotlightType}" generator${formatHint} first`,
+      );
+    }
+    return {
+      htmlPath,
+      outputPath: getScreenshotPath(pageName, runId, outDir),
+      format,
+    };
+  });
+
+  const captured = await capturePages(pages, { offline, imagePolicy, dryRun });
+  throwCaptureFailures(captured);
+  return captured.map(({ outputPath }) => outputPath);
+}
+
+/**
+ * Screenshot the pages from generators' results (runSpotlight,
+ * generateSingleMovie or generateProgram) in one browser session, naming the
+ * PNGs with each result's run ID so they match the run's text files, and
+ * record them in each result's manifest. Pages that were captured are
+ * recorded before any failures are thrown
+ * @param {Array<Object>} results - Generator results, with runId and pages
+ * @param {Object} [options]
+ * @param {string} [options.outDir] - Directory holding output/ (defaults to the repo root)
+ * @param {boolean} [options.offline] - Disable the network, so only local files load
+ * @param {string} [options.imagePolicy] - What to do when a poster doesn't load: fail (default), retry or placeholder (default offline)
+ * @param {boolean} [options.dryRun] - Log what would be captured without opening a browser
+ * @returns {Promise<Array<Object>>} - The results with screenshotPath set on
+ *   each page, and on each result for its first page
+ */
+async function screenshotResults(results, options = {}) {
+  const { outDir, offline = false, imagePolicy, dryRun = false } = options;
+  const pages = results.flatMap((result) =>
+    result.pages.map((page) => ({
+      htmlPath: page.htmlPath,
+      outputPath: getScreenshotPath(page.name, result.runId, outDir),
+      format: page.format,
+    })),
+  );
+  const captured = await capturePages(pages, {
+    offline,
+    imagePolicy,
+    dryRun,
+  });
+
+  // Record the pages that were captured, even if others failed
+  let index = 0;
+  const screenshottedResults = results.map((result) => {
+    const resultPages = result.pages.map((page) => {
+      const { outputPath, error } = captured[index++];
+      return error ? page : { ...page, screenshotPath: outputPath };
+    });
+    const screenshotted = {
+      ...result,
+      pages: resultPages,
+      screenshotPath: resultPages[0].screenshotPath,
+    };
+    recordScreenshots(screenshotted, { dryRun });
+    return screenshotted;
+  });
+
+  throwCaptureFailures(captured);
+  return screenshottedResults;
+}
+
+/**
+ * Screenshot the pages from a generator's result, see screenshotResults
+ * @returns {Promise<Object>} - The result with screenshotPath set on each page,
+ *   and on the result for the first page
+ */
+async function screenshotResult(result, options = {}) {
+  const [screenshotted] = await screenshotResults([result], options);
+  return screenshotted;
+}
+
+module.exports = {
+  IMAGE_POLICIES,
+  ScreenshotError,
+  takeScreenshot,
+  screenshotResult,
+  screenshotResults,
+};
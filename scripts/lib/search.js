@@ -0,0 +1,286 @@
+/**
+ * Fuzzy title search over the movies and programs in the data, so the
+ * generators can be given a title instead of a TMDB ID or program ID
+ */
+
+const { SpotlightError } = require("./errors");
+const { summarizeVenues } = require("./venue-summary");
+
+// TMDB IDs and generated program IDs (e.g. 550, 097696a9)
+const ID_PATTERN = /^(\d+|[0-9a-f]{8})$/;
+// Lowest title score (0-1) counted as a match
+const MIN_SCORE = 0.6;
+// Matches listed in an ambiguous match error
+const MAX_LISTED_MATCHES = 10;
+// Venues listed per match, the rest are counted
+const MAX_LISTED_VENUES = 5;
+
+/**
+ * Normalise a title for matching: lowercase, no accents or punctuation, and
+ * no leading "the"
+ */
+function normalizeTitle(title) {
+  return title
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(/^the /, "");
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two strings, 1 when equal down to 0
+ */
+function getSimilarity(a, b) {
+  return 1 - getEditDistance(a, b) / Math.max(a.length, b.length, 1);
+}
+
+/**
+ * Score how well a title matches a query, from 0 (no match) to 1 (same title)
+ * Whole-title matches score highest, then titles containing every query word
+ * (in any order, as a word prefix), then near misses for typos
+ */
+function scoreTitle(query, title) {
+  const normalizedQuery = normalizeTitle(query);
+  const normalizedTitle = normalizeTitle(title || "");
+  if (!normalizedQuery || !normalizedTitle) {
+    return 0;
+  }
+  if (normalizedQuery === normalizedTitle) {
+    return 1;
+  }
+  if (normalizedTitle.startsWith(normalizedQuery)) {
+    return 0.9;
+  }
+  if (normalizedTitle.includes(normalizedQuery)) {
+    return 0.8;
+  }
+
+  const titleWords = normalizedTitle.split(" ");
+  const wordScores = normalizedQuery
+    .split(" ")
+    .map((queryWord) =>
+      Math.max(
+        ...titleWords.map((titleWord) =>
+          titleWord.startsWith(queryWord)
+            ? 1
+            : getSimilarity(queryWord, titleWord),
+        ),
+      ),
+    );
+  const wordScore =
+    wordScores.reduce((sum, score) => sum + score, 0) / wordScores.length;
+
+  return Math.max(
+    0.75 * wordScore,
+    0.85 * getSimilarity(normalizedQuery, normalizedTitle),
+  );
+}
+
+/**
+ * Release year of a movie, if known
+ */
+function getYear(movie) {
+  return movie.releaseDate
+    ? new Date(movie.releaseDate).getFullYear()
+    : movie.year || null;
+}
+
+/**
+ * Upcoming performance count of a movie or program and the venues showing
+ * them (see summarizeVenues)
+ */
+function getUpcoming(showingsSource, venues, now) {
+  const { performanceCount, venueNames } = summarizeVenues(
+    showingsSource,
+    venues,
+    { now },
+  );
+  return { performanceCount, venues: venueNames };
+}
+
+/**
+ * Everything the generators can be given: top-level movies, programs (with
+ * included movies) and the movies included in programs, which are shown
+ * through their program's performances
+ */
+function getSearchEntries(data, now) {
+  const entries = new Map();
+
+  Object.values(data.movies).forEach((movie) => {
+    const upcoming = getUpcoming(movie, data.venues, now);
+    const includedMovies = movie.includedMovies || [];
+
+    if (includedMovies.length > 0) {
+      entries.set(movie.id, {
+        type: "program",
+        id: movie.id,
+        title: movie.title,
+        year: null,
+        films: includedMovies.map((included) => included.title),
+        ...upcoming,
+      });
+    } else {
+      entries.set(movie.id, {
+        type: "movie",
+        id: movie.id,
+        title: movie.title,
+        year: getYear(movie),
+        ...upcoming,
+      });
+    }
+
+    includedMovies
+      .filter((included) => !entries.has(included.id))
+      .forEach((included) => {
+        entries.set(included.id, {
+          type: "movie",
+          id: included.id,
+          title: included.title,
+          year: getYear(included),
+          program: movie.title,
+          ...upcoming,
+        });
+      });
+  });
+
+  return [...entries.values()];
+}
+
+/**
+ * Search movies and programs by title
+ * Programs also match on the titles of their films
+ * @param {Object} data - Combined data (movies and venues)
+ * @param {string} query - Title, or part of one
+ * @param {Object} [options]
+ * @param {string} [options.type] - Only return "movie" or "program" matches
+ * @param {number|string} [options.year] - Only movies released this year
+ * @param {string} [options.venue] - Only matches with upcoming performances at a venue whose name contains this
+ * @param {Date} [options.now] - Reference time for upcoming performances (defaults to the current time)
+ * @returns {Array<Object>} - Matches, best first: { type, id, title, year,
+ *   score, performanceCount, venues, films (programs), program (included movies) }
+ */
+function searchTitles(data, query, options = {}) {
+  const { type, year, venue, now = new Date() } = options;
+  const venueQuery = venue ? normalizeTitle(venue) : null;
+
+  return getSearchEntries(data, now)
+    .filter((entry) => !type || entry.type === type)
+    .filter((entry) => !year || String(entry.year) === String(year))
+    .filter(
+      (entry) =>
+        !venueQuery ||
+        entry.venues.some((name) => normalizeTitle(name).includes(venueQuery)),
+    )
+    .map((entry) => ({
+      ...entry,
+      score: Math.max(
+        scoreTitle(query, entry.title),
+        ...(entry.films || []).map((film) => 0.95 * scoreTitle(query, film)),
+      ),
+    }))
+    .filter((entry) => entry.score >= MIN_SCORE)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.performanceCount - a.performanceCount ||
+        a.title.localeCompare(b.title),
+    );
+}
+
+/**
+ * One line describing a match, e.g.
+ * "movie 550  Fight Club (1999) - 3 performances at Odeon Branch 1, BFI"
+ */
+function formatMatch(match) {
+  const title = match.year ? `${match.title} (${match.year})` : match.title;
+  const listed = match.venues.slice(0, MAX_LISTED_VENUES).join(", ");
+  const more = match.venues.length - MAX_LISTED_VENUES;
+  const performances =
+    match.performanceCount === 0
+      ? "no upcoming performances"
+      : `${match.performanceCount} performance${match.performanceCount === 1 ? "" : "s"} at ${listed}${more > 0 ? `, & ${more} more` : ""}`;
+  const details = [
+    match.films && `films: ${match.films.join(", ")}`,
+    match.program && `in ${match.program}`,
+  ].filter(Boolean);
+
+  return `${match.type.padEnd(7)} ${match.id.padEnd(10)} ${title} - ${performances}${details.length > 0 ? ` (${details.join("; ")})` : ""}`;
+}
+
+/**
+ * Resolve a generator's argument to an ID: an ID in the data is used as is
+ * (the generator reports if it's the wrong type). Anything else, including
+ * something that looks like an ID but isn't in the data (e.g. "1917"), is
+ * searched for by title and must match one movie or program
+ * @param {Object} data - Combined data (movies and venues)
+ * @param {string} query - TMDB ID, program ID or title
+ * @param {Object} options - See searchTitles; type is required
+ * @returns {string} - The ID
+ */
+function resolveTitleId(data, query, options) {
+  const { type } = options;
+  const isKnownId =
+    Boolean(data.movies[query]) ||
+    Object.values(data.movies).some((movie) =>
+      movie.includedMovies?.some((included) => included.id === query),
+    );
+  if (isKnownId) {
+    return query;
+  }
+
+  const matches = searchTitles(data, query, options);
+  if (matches.length === 0) {
+    throw new SpotlightError(
+      ID_PATTERN.test(query)
+        ? `No ${type} found with ID or title ${query}`
+        : `No ${type} found matching "${query}"`,
+    );
+  }
+
+  // A single exact title beats any number of partial matches
+  const exact = matches.filter((match) => match.score === 1);
+  const chosen =
+    matches.length === 1 ? matches[0] : exact.length === 1 ? exact[0] : null;
+  if (!chosen) {
+    const listed = matches
+      .slice(0, MAX_LISTED_MATCHES)
+      .map((match) => `  ${formatMatch(match)}`)
+      .join("\n");
+    const more = matches.length - MAX_LISTED_MATCHES;
+    throw new SpotlightError(
+      `"${query}" matches ${matches.length} ${type}s, use an ID or narrow it down with --year or --venue:\n${listed}${more > 0 ? `\n  & ${more} more` : ""}`,
+    );
+  }
+
+  console.log(`Matched "${query}" to ${chosen.title} (${chosen.id})`);
+  return chosen.id;
+}
+
+module.exports = {
+  ID_PATTERN,
+  searchTitles,
+  formatMatch,
+  resolveTitleId,
+};
@@ -0,0 +1,340 @@
+const fs = require("fs");
+const path = require("path");
+const { getTimestamp, escapeHtml } = require("./utils");
+const {
+  summarizeVenues,
+  formatVenueList,
+  getShowingText,
+} = require("./venue-summary");
+const { loadData } = require("./data-loader");
+const { EXIT_CODES, SpotlightError } = require("./errors");
+const { DEFAULT_FORMAT } = require("./formats");
+const { resolveTitleId } = require("./search");
+const { describeMovie, writeManifest } = require("./manifest");
+const {
+  getDirectorName,
+  getRatingsForMovie,
+  formatRatingsText,
+} = require("./movie-details");
+const {
+  ROOT_DIR,
+  getOutputPath,
+  writeOutputFile,
+  writeSiteHtml,
+} = require("./output");
+
+// Configuration constants
+const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p/w500";
+
+/**
+ * Generate a single movie spotlight
+ * @param {string} query - The TMDB movie ID, or a title matching one movie (see search.js)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @param {string} [options.dataDir] - Directory holding combined-data/ and matched-data/ (see loadData)
+ * @param {string} [options.outDir] - Directory to write site/ and output/ to (defaults to the repo root)
+ * @param {boolean} [options.dryRun] - Log what would be generated without writing any files
+ * @param {string} [options.runId] - ID shared by the run's output filenames (defaults to the reference time, e.g. 2026-02-01_1900)
+ * @param {string} [options.name] - Name of the page and text file (defaults to single-movie)
+ * @param {Object} [options.sources] - Data from loadData, to share between runs (loaded from dataDir if not given)
+ * @param {number|string} [options.year] - Release year, to narrow down a title
+ * @param {string} [options.venue] - Venue name (or part of one), to narrow down a title
+ * @returns {Object} - Run result: name, runId, now, pages, html, htmlPath,
+ *   texts ({ generic: { text, path } }), movie details and manifestPath (see manifest.js)
+ */
+function generateSingleMovie(query, options = {}) {
+  const {
+    now: referenceTime = new Date(),
+    dataDir,
+    outDir,
+    dryRun = false,
+    runId = getTimestamp(referenceTime),
+    name = "single-movie",
+    sources = loadData(ROOT_DIR, { dataDir }),
+    year: releaseYear,
+    venue,
+  } = options;
+  const { data, imdbRatings, letterboxdRatings, rottenTomatoesRatings } =
+    sources;
+  const tmdbId = resolveTitleId(data, query, {
+    type: "movie",
+    year: releaseYear,
+    venue,
+    now: referenceTime,
+  });
+
+  // Find the movie by TMDB ID - check top-level movies first, then includedMovies
+  let movie = data.movies[tmdbId];
+  let parentMovie = null;
+
+  if (!movie) {
+    // Search through includedMovies arrays to find this TMDB ID
+    for (const [parentId, parent] of Object.entries(data.movies)) {
+      if (parent.includedMovies) {
+        const included = parent.includedMovies.find((m) => m.id === tmdbId);
+        if (included) {
+          movie = included;
+          parentMovie = parent;
+          console.log(
+            `Found as included movie within: ${parent.title} (${parentId})`,
+          );
+          break;
+        }
+      }
+    }
+  }
+
+  if (!movie) {
+    throw new SpotlightError(`Movie with TMDB ID ${tmdbId} not found in data`);
+  }
+
+  console.log(`\nGenerating spotlight for: ${movie.title}`);
+  console.log(`  TMDB ID: ${tmdbId}`);
+  console.log(`  Poster path: ${movie.posterPath || "none"}`);
+
+  if (!movie.posterPath) {
+    throw new SpotlightError(`Movie "${movie.title}" does not have a poster`);
+  }
+
+  const posterUrl = TMDB_IMAGE_BASE + movie.posterPath;
+
+  // Use the parent movie's showings/performances when this is an included movie
+  const showingsSource = parentMovie || movie;
+
+  // Get venues where the movie is showing and find the last performance
+  const venueSummary = summarizeVenues(showingsSource, data.venues, {
+    now: referenceTime,
+  });
+  const venuesText = formatVenueList(venueSummary.venues, { format: "html" });
+  // Also as plain text (without HTML) for the social media text
+  const venuesPlainText = formatVenueList(venueSummary.venues);
+  console.log(
+    `  Venues (${venueSummary.venues.length} total): ${venuesPlainText || "none"}`,
+  );
+
+  // Extract year for template replacement
+  const year = movie.releaseDate
+    ? new Date(movie.releaseDate).getFullYear()
+    : movie.year || "";
+
+  const directorName = getDirectorName(movie, data.people);
+
+  // Get synopsis
+  const synopsis = movie.overview || movie.synopsis || "";
+
+  // Get ratings from all sources
+  const ratings = getRatingsForMovie(movie, {
+    imdbRatings,
+    letterboxdRatings,
+    rottenTomatoesRatings,
+  });
+  const { imdbRating, letterboxdRating, rtCriticsScore, rtAudienceScore } =
+    ratings;
+  // Determine if fresh (≥60%) or rotten (<60%)
+  const rtCriticsIsFresh = rtCriticsScore !== "" && rtCriticsScore >= 60;
+  const rtAudienceIsFresh = rtAudienceScore !== "" && rtAudienceScore >= 60;
+
+  // Load the template
+  const templatePath = path.join(ROOT_DIR, "templates", "single-movie.html");
+  let template = fs.readFileSync(templatePath, "utf8");
+
+  // Replace placeholders
+  template = template.replace(/\{\{MOVIE_TITLE\}\}/g, escapeHtml(movie.title));
+  template = template.replace(/\{\{MOVIE_YEAR\}\}/g, year);
+  template = template.replace(/\{\{POSTER_URL\}\}/g, posterUrl);
+  template = template.replace(/\{\{VENUES_TEXT\}\}/g, venuesText);
+  template = template.replace(
+    /\{\{DIRECTOR_NAME\}\}/g,
+    escapeHtml(directorName),
+  );
+  template = template.replace(/\{\{SYNOPSIS\}\}/g, escapeHtml(synopsis));
+  template = template.replace(/\{\{IMDB_RATING\}\}/g, imdbRating);
+  template = template.replace(/\{\{LETTERBOXD_RATING\}\}/g, letterboxdRating);
+  template = template.replace(
+    /\{\{RT_CRITICS_SCORE\}\}/g,
+    rtCriticsScore !== "" ? `${rtCriticsScore}%` : "",
+  );
+  template = template.replace(
+    /\{\{RT_CRITICS_CLASS\}\}/g,
+    rtCriticsIsFresh ? "fresh" : "rotten",
+  );
+  template = template.replace(
+    /\{\{RT_AUDIENCE_SCORE\}\}/g,
+    rtAudienceScore !== "" ? `${rtAudienceScore}%` : "",
+  );
+  template = template.replace(
+    /\{\{RT_AUDIENCE_CLASS\}\}/g,
+    rtAudienceIsFresh ? "fresh" : "rotten",
+  );
+
+  // Hide rating badges when scores are unavailable
+  template = template.replace(
+    /\{\{LETTERBOXD_HIDDEN\}\}/g,
+    letterboxdRating ? "" : "hidden",
+  );
+  template = template.replace(
+    /\{\{IMDB_HIDDEN\}\}/g,
+    imdbRating ? "" : "hidden",
+  );
+  const hasAnyRt = rtCriticsScore !== "" || rtAudienceScore !== "";
+  template = template.replace(/\{\{RT_HIDDEN\}\}/g, hasAnyRt ? "" : "hidden");
+  template = template.replace(
+    /\{\{RT_CRITICS_HIDDEN\}\}/g,
+    rtCriticsScore !== "" ? "" : "hidden",
+  );
+  template = template.replace(
+    /\{\{RT_AUDIENCE_HIDDEN\}\}/g,
+    rtAudienceScore !== "" ? "" : "hidden",
+  );
+
+  // Write the HTML file
+  const htmlPath = writeSiteHtml(name, template, {
+    outDir,
+    dryRun,
+  });
+
+  // Also write movie info to output directory
+  const infoPath = getOutputPath(`${name}_${runId}.txt`, outDir);
+
+  // Build social-style text with header and footer
+  let info = `🎬 MOVIE SPOTLIGHT! 🎬\n\n`;
+  info += `${movie.title}`;
+  if (year) info += ` (${year})`;
+  info += `\n`;
+  if (directorName) info += `Directed by ${directorName}\n`;
+  info += `\n`;
+  if (synopsis) info += `${synopsis}\n\n`;
+
+  // Add ratings if available (order: Letterboxd, IMDB, RT)
+  const ratingsText = formatRatingsText(ratings);
+  if (ratingsText) {
+    info += `${ratingsText}\n\n`;
+  }
+
+  info += `📍 ${getShowingText(venueSummary, venuesPlainText)}\n\n`;
+  info += `🌐 Every film, every cinema, one place. Find showtimes at Clusterflick.com\n\n`;
+  info += `---\n\n`;
+  info += `#NowShowing #LondonCinema #IndieFilm #Clusterflick\n\n`;
+  info += `✨ Discover something special at the cinema!`;
+
+  writeOutputFile(infoPath, info, { label: "Info saved", dryRun });
+
+  const result = {
+    name,
+    runId,
+    now: referenceTime,
+    pages: [
+      {
+        name,
+        format: DEFAULT_FORMAT,
+        html: template,
+        htmlPath,
+      },
+    ],
+    html: template,
+    htmlPath,
+    texts: { generic: { text: info, path: infoPath } },
+    movie: {
+      id: tmdbId,
+      title: movie.title,
+      year,
+      director: directorName,
+      posterUrl,
+      ratings: {
+        imdb: imdbRating,
+        letterboxd: letterboxdRating,
+        rottenTomatoesCritics: rtCriticsScore,
+        rottenTomatoesAudience: rtAudienceScore,
+      },
+      venues: venueSummary.venueNames,
+      performanceCount: venueSummary.performanceCount,
+    },
+  };
+
+  const { manifestPath } = writeManifest(
+    result,
+    {
+      movies: [
+        {
+          ...describeMovie(movie, {
+            data,
+            ratingSources: {
+              imdbRatings,
+              letterboxdRatings,
+              rottenTomatoesRatings,
+            },
+            now: referenceTime,
+            showingsSource,
+          }),
+          director: directorName,
+          posterUrl,
+        },
+      ],
+    },
+    { outDir, dryRun },
+  );
+
+  return { ...result, manifestPath };
+}
+
+/**
+ * Generate spotlights for several movies in one run, each with its own
+ * page and text file named single-movie-<TMDB_ID>. A movie that can't be
+ * generated (e.g. not found, ambiguous title, no poster) is reported and
+ * skipped
+ * @param {Array<string>} queries - The TMDB movie IDs or titles
+ * @param {Object} [options] - As for generateSingleMovie, except name
+ * @returns {{results: Array<Object>, failures: Array<{query: string, error: Error}>}} -
+ *   A run result per generated movie, and the movies that failed
+ */
+function generateSingleMovies(queries, options = {}) {
+  const {
+    now = new Date(),
+    runId = getTimestamp(now),
+    dataDir,
+    sources = loadData(ROOT_DIR, { dataDir }),
+  } = options;
+  const results = [];
+  const failures = [];
+  const generatedIds = new Set();
+
+  [...new Set(queries)].forEach((query) => {
+    try {
+      const tmdbId = resolveTitleId(sources.data, query, {
+        ...options,
+        type: "movie",
+        now,
+      });
+      if (generatedIds.has(tmdbId)) {
+        return;
+      }
+      generatedIds.add(tmdbId);
+      results.push(
+        generateSingleMovie(tmdbId, {
+          ...options,
+          now,
+          runId,
+          sources,
+          name: `single-movie-${tmdbId}`,
+        }),
+      );
+    } catch (error) {
+      // Only skip this movie's problems, invalid data fails every movie
+      if (
+        !(error instanceof SpotlightError) ||
+        error.exitCode !== EXIT_CODES.FAILURE
+      ) {
+        throw error;
+      }
+      console.error(`\nSkipping ${query}: ${error.message}`);
+      failures.push({ query, error });
+    }
+  });
+
+  return { results, failures };
+}
+
+module.exports = {
+  generateSingleMovie,
+  generateSingleMovies,
+};
@@ -1,15 +1,33 @@
 const { formatSocialDate } = require("./utils");
-
-// Platform character limits
-const PLATFORM_LIMITS = {
-  instagram: 2000,
+const { getVenueHandle } = require("./venue-summary");
+const { SpotlightError } = require("./errors");
+const { countCodePoints, splitGraphemes } = require("./text-length");
+
+// Between the posts of a thread in the text files
+const THREAD_SEPARATOR = "\n\n---THREAD---\n\n";
+// Stands in for a platform when none is given: no limit and no handles
+const NO_PLATFORM = {
+  charLimit: null,
+  countLength: countCodePoints,
+  handleField: null,
+  compact: false,
 };
+// Room kept in each thread post for its "\n(XX/YY)" counter
+const COUNTER_RESERVE = 10;
+// Added to a venue's heading in the posts it continues into
+const CONTINUED_SUFFIX = " (cont.)";
+// A venue heading's handle: " @handle" or, in full lines, " (@handle)"
+const VENUE_HANDLE_PATTERN = / \(?@[^\s)]+\)?$/;
 
 /**
  * Generate compact Instagram text with top picks and venue summary
  * @param {Array} movies - Array of movie objects (must have rating and venue info)
  * @param {Object} venues - Venues data
  * @param {Object} config - Configuration for the social text
+ * @param {Object} config.platform - Platform from platforms.js (charLimit, countLength, handleField)
+ * @param {number} [config.topPicksCount] - Top picks listed, lowered until the text fits (default 15)
+ * @param {number} [config.maxVenues] - Venues listed, lowered once there are no top picks left to drop (default all)
+ * @throws {SpotlightError} If the text is over the limit without any top picks or venues
  */
 function generateInstagramCompactText(movies, venues, config) {
   const {
@@ -20,9 +38,11 @@ function generateInstagramCompactText(movies, venues, config) {
     footer,
     topPicksCount = 15,
     minFilmsPerVenue = 2,
+    maxVenues = Infinity,
+    platform,
   } = config;
 
-  const charLimit = PLATFORM_LIMITS.instagram;
+  const { charLimit, countLength } = platform;
 
   // Group movies by venue
   const moviesByVenue = {};
@@ -50,6 +70,7 @@ function generateInstagramCompactText(movies, venues, config) {
     .sort((a, b) => b.count - a.count);
 
   const multiFilmVenues = venueList.filter((v) => v.count >= minFilmsPerVenue);
+  const listedVenues = multiFilmVenues.slice(0, maxVenues);
   const singleFilmCount = venueList.filter(
     (v) => v.count < minFilmsPerVenue,
   ).length;
@@ -74,13 +95,16 @@ function generateInstagramCompactText(movies, venues, config) {
 
   // Venues section
   output += `\n\u{1F4CD} VENUES\n`;
-  multiFilmVenues.forEach((v) => {
+  listedVenues.forEach((v) => {
     const venueName = v.venue?.name || "Unknown venue";
-    const handle = v.venue?.socials?.instagram;
+    const handle = getVenueHandle(v.venue, platform.handleField);
     const handleText = handle ? ` @${handle}` : "";
     output += `${venueName}${handleText} - ${v.count} films\n`;
   });
-  if (singleFilmCount > 0) {
+  const unlistedCount = multiFilmVenues.length - listedVenues.length;
+  if (unlistedCount > 0) {
+    output += `+${unlistedCount + singleFilmCount} more venues\n`;
+  } else if (singleFilmCount > 0) {
     output += `+${singleFilmCount} more venues with 1 film each\n`;
   }
 
@@ -89,13 +113,25 @@ function generateInstagramCompactText(movies, venues, config) {
   output += `${hashtags}\n\n`;
   output += footer;
 
-  // If over limit, reduce top picks count
-  if (output.length > charLimit) {
-    const reduced = { ...config, topPicksCount: topPicksCount - 2 };
-    return generateInstagramCompactText(movies, venues, reduced);
+  if (charLimit === null || countLength(output) <= charLimit) {
+    return output;
   }
 
-  return output;
+  // Over the limit: list fewer top picks, then fewer venues
+  if (topPicks.length > 0) {
+    const reduced = {
+      ...config,
+      topPicksCount: Math.max(0, topPicks.length - 2),
+    };
+    return generateInstagramCompactText(movies, venues, reduced);
+  }
+  if (listedVenues.length > 0) {
+    const reduced = { ...config, maxVenues: listedVenues.length - 1 };
+    return generateInstagramCompactText(movies, venues, reduced);
+  }
+  throw new SpotlightError(
+    `Instagram text is ${countLength(output)} characters without any top picks or venues, over the limit of ${charLimit}`,
+  );
 }
 
 /**
@@ -103,18 +139,20 @@ function generateInstagramCompactText(movies, venues, config) {
  * @param {Array} movies - Array of movie objects
  * @param {Object} venues - Venues data
  * @param {Object} config - Configuration for the social text
- * @param {string} config.platform - 'twitter', 'instagram', or null
+ * @param {Object} [config.platform] - Platform from platforms.js (charLimit, countLength, handleField, compact); no limit or handles if omitted
  * @param {string} config.header - Header text (e.g., "LAST CHANCE THIS WEEK!")
  * @param {string} config.intro - Intro text template (use {{count}} for movie count)
  * @param {string} config.hashtags - Hashtag string
  * @param {string} config.venueIdField - Field name for venue ID on movie object
- * @param {Function} [config.formatMovieLine] - Optional custom formatter (movie, options) => string
+ * @param {Function} [config.formatMovieLine] - Optional custom formatter (movie, { compact, now }) => string
  * @param {string} [config.footer] - Optional footer/easter egg text
  * @param {number} [config.maxLength] - Optional maximum character length (overrides platform default)
+ * @param {Date} [config.now] - Reference time passed through to the movie line formatter
+ * @param {Function} [config.random] - Random number generator for emoji choice (defaults to Math.random)
  */
 function generateSocialText(movies, venues, config) {
   const {
-    platform = "twitter",
+    platform = NO_PLATFORM,
     header,
     intro,
     hashtags,
@@ -122,12 +160,14 @@ function generateSocialText(movies, venues, config) {
     formatMovieLine,
     footer,
     maxLength,
+    now = new Date(),
+    random = Math.random,
   } = config;
 
   // Determine character limit - explicit maxLength takes priority, then platform default
-  const charLimit = maxLength ?? PLATFORM_LIMITS[platform] ?? null;
-  // Use compact formatting (no indent/emoji) for Instagram and Twitter
-  const compact = platform === "instagram" || platform === "twitter";
+  const charLimit = maxLength ?? platform.charLimit;
+  // Compact formatting (no indent/emoji) for the character-limited platforms
+  const { compact, countLength } = platform;
 
   const emojis = [
     "\u{1F3AC}",
@@ -137,7 +177,7 @@ function generateSocialText(movies, venues, config) {
     "\u2B50",
     "\u{1F37F}",
   ];
-  const randomEmoji = () => emojis[Math.floor(Math.random() * emojis.length)];
+  const randomEmoji = () => emojis[Math.floor(random() * emojis.length)];
 
   // Default movie line formatter
   const defaultFormatLine = (movie, { compact }) => {
@@ -183,7 +223,7 @@ function generateSocialText(movies, venues, config) {
   sortedVenueIds.forEach((venueId) => {
     const venue = venues[venueId];
     const venueName = venue?.name || "Unknown venue";
-    const handle = venue?.socials?.[platform];
+    const handle = getVenueHandle(venue, platform.handleField);
     const handleText = handle ? ` @${handle}` : "";
     const venueMovies = moviesByVenue[venueId];
 
@@ -195,7 +235,7 @@ function generateSocialText(movies, venues, config) {
     venueMovies.sort((a, b) => a.title.localeCompare(b.title));
 
     venueMovies.forEach((movie) => {
-      venueText += formatLine(movie, { compact });
+      venueText += formatLine(movie, { compact, now });
     });
 
     venueText += `\n`;
@@ -207,47 +247,121 @@ function generateSocialText(movies, venues, config) {
     return headerSection + venueSections.join("") + footerSection;
   }
 
-  // Build text within character limit
+  // Build text within character limit, as the platform counts it
   const moreIndicator = `\n+more at clusterflick.com\n`;
+  const fits = (venueContent, more = "") =>
+    countLength(headerSection + venueContent + more + footerSection) <=
+    charLimit;
 
-  let venueContent = "";
-  let includedAll = true;
-
+  const included = [];
   for (const section of venueSections) {
-    if (
-      headerSection.length +
-        venueContent.length +
-        section.length +
-        footerSection.length <=
-      charLimit
-    ) {
-      venueContent += section;
-    } else {
-      includedAll = false;
+    if (!fits(included.join("") + section)) {
       break;
     }
+    included.push(section);
   }
 
-  if (includedAll) {
-    return headerSection + venueContent + footerSection;
+  if (included.length === venueSections.length) {
+    return headerSection + included.join("") + footerSection;
   }
 
-  // Truncated version with "more" indicator
-  return headerSection + venueContent + moreIndicator + footerSection;
+  // Truncated version with "more" indicator, dropping venues until it fits
+  while (included.length > 0 && !fits(included.join(""), moreIndicator)) {
+    included.pop();
+  }
+  return headerSection + included.join("") + moreIndicator + footerSection;
 }
 
 /**
- * Split social text into Twitter thread chunks (max 280 chars each)
- * Keeps venue groups together and puts header+footer in first message
- * @param {string} text - Full text to split
- * @param {number} maxChunkSize - Max characters per chunk (default 280)
- * @returns {string} - Chunks separated by "\n\n---THREAD---\n\n"
+ * Shorten a line until it fits, at a word break when that keeps most of it,
+ * ending with "…" ("" when nothing fits)
+ * @param {string} line - Line to shorten
+ * @param {Function} fits - (candidate) => whether the shortened line fits
  */
-function chunkForTwitterThread(text, maxChunkSize = 280) {
-  // Reserve space for "\n(XX/YY)" suffix - up to 10 chars
-  const counterReserve = 10;
-  const effectiveMax = maxChunkSize - counterReserve;
+function shortenLine(line, fits) {
+  if (fits(line)) {
+    return line;
+  }
+
+  const graphemes = splitGraphemes(line);
+  for (let end = graphemes.length - 1; end > 0; end--) {
+    const kept = graphemes.slice(0, end).join("").trimEnd();
+    if (!kept.trim() || !fits(`${kept}\u2026`)) {
+      continue;
+    }
+    const wordBreak = kept.lastIndexOf(" ");
+    if (wordBreak <= kept.length / 2) {
+      return `${kept}\u2026`;
+    }
+    // Without a dangling separator, e.g. "Title -…"
+    return `${kept.slice(0, wordBreak).replace(/[\s,\-\u2013]+$/, "")}\u2026`;
+  }
+  return "";
+}
+
+/**
+ * Split a section of the text (the header, a venue or the footer) into posts
+ * of at most maxLength, never splitting a line: overlong lines are shortened
+ * instead. A venue's "📍 Venue" heading is repeated at the top of each post it
+ * continues into, as "📍 Venue (cont.)" without the handle, and always goes
+ * with at least one of its lines
+ * @param {string} section - Section text, one item per line
+ * @param {number} maxLength - Max length of each post
+ * @param {Function} countLength - Length of a post as the platform counts it
+ * @returns {Array<string>} - Posts, the last of which may have room for more
+ */
+function splitSection(section, maxLength, countLength) {
+  const fitsPost = (post) => countLength(post) <= maxLength;
+  const lines = section.split("\n");
+  const isVenue = lines[0].startsWith("\u{1F4CD}");
+  const heading = isVenue ? shortenLine(lines[0], fitsPost) : "";
+  const continuedHeading = isVenue
+    ? shortenLine(
+        `${lines[0].replace(VENUE_HANDLE_PATTERN, "")}${CONTINUED_SUFFIX}`,
+        fitsPost,
+      )
+    : "";
+
+  const posts = [];
+  let current = heading;
+  let hasLines = false;
+  const join = (line) => (current ? `${current}\n${line}` : line);
+  const fitLine = (line) =>
+    shortenLine(line, (candidate) => fitsPost(join(candidate)));
+
+  for (const line of isVenue ? lines.slice(1) : lines) {
+    if (!hasLines && !line.trim()) {
+      continue; // No blank lines at the top of a post
+    }
+    if (hasLines && !fitsPost(join(line)) && current.trim()) {
+      posts.push(current.trim());
+      current = continuedHeading;
+      hasLines = false;
+    }
+
+    let fitted = fitLine(line);
+    if (!fitted && current) {
+      // The heading leaves no room for the line, so it gives up half the post
+      current = shortenLine(current, (candidate) =>
+        fitsPost(`${candidate}${candidate}`),
+      );
+      fitted = fitLine(line);
+    }
+    current = join(fitted);
+    hasLines = true;
+  }
+  // A section without lines (e.g. a venue with no films) is kept as it is
+  if (current.trim() && (hasLines || posts.length === 0)) {
+    posts.push(current.trim());
+  }
+  return posts;
+}
 
+/**
+ * Split social text into posts of at most maxLength: the header first, venue
+ * groups together where they fit, then the footer
+ */
+function splitThread(text, maxLength, countLength) {
   // Split into header, venue sections, and footer
   const parts = text.split("---\n\n");
   // parts[0] = header, parts[1] = venues content, parts[2] = footer (hashtags + pro tip)
@@ -256,9 +370,6 @@ function chunkForTwitterThread(text, maxChunkSize = 280) {
   const venuesContent = parts[1] || "";
   const footer = parts.slice(2).join("---\n\n").trim();
 
-  // First chunk: header only, footer will be last chunk
-  const firstChunk = header;
-
   // Parse venue sections (each starts with 📍)
   const venueBlocks = [];
   let currentBlock = "";
@@ -276,38 +387,27 @@ function chunkForTwitterThread(text, maxChunkSize = 280) {
     venueBlocks.push(currentBlock.trim());
   }
 
-  // Build chunks from venue blocks
-  const chunks = [firstChunk];
+  // First chunk(s): header only, footer will be last
+  const chunks = header ? splitSection(header, maxLength, countLength) : [];
   let currentChunk = "";
 
   for (const block of venueBlocks) {
     // If block fits in current chunk, add it
-    if (currentChunk.length + block.length + 2 <= effectiveMax) {
-      currentChunk += (currentChunk ? "\n\n" : "") + block;
-    } else {
-      // Save current chunk if it has content
-      if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
-      }
-
-      // If single block is too long, we need to split it
-      if (block.length > effectiveMax) {
-        const lines = block.split("\n");
-        currentChunk = "";
-        for (const line of lines) {
-          if (currentChunk.length + line.length + 1 <= effectiveMax) {
-            currentChunk += (currentChunk ? "\n" : "") + line;
-          } else {
-            if (currentChunk.trim()) {
-              chunks.push(currentChunk.trim());
-            }
-            currentChunk = line;
-          }
-        }
-      } else {
-        currentChunk = block;
-      }
+    const joined = (currentChunk ? `${currentChunk}\n\n` : "") + block;
+    if (countLength(joined) <= maxLength) {
+      currentChunk = joined;
+      continue;
+    }
+
+    // Save current chunk if it has content
+    if (currentChunk.trim()) {
+      chunks.push(currentChunk.trim());
     }
+    // A block too long for a chunk of its own continues over several, and
+    // the next block can join its last one
+    const blockChunks = splitSection(block, maxLength, countLength);
+    currentChunk = blockChunks.pop() || "";
+    chunks.push(...blockChunks);
   }
 
   // Don't forget the last venue chunk
@@ -315,22 +415,55 @@ function chunkForTwitterThread(text, maxChunkSize = 280) {
     chunks.push(currentChunk.trim());
   }
 
-  // Add footer as final chunk
+  // Add footer as final chunk(s)
   if (footer) {
-    chunks.push(footer);
+    chunks.push(...splitSection(footer, maxLength, countLength));
   }
+  return chunks;
+}
 
-  // Add thread counters on new line
-  const total = chunks.length;
-  const numberedChunks = chunks.map(
-    (chunk, i) => `${chunk}\n(${i + 1}/${total})`,
-  );
-
-  return numberedChunks.join("\n\n---THREAD---\n\n");
+/**
+ * Split social text into thread chunks (Twitter, Bluesky, Mastodon), each
+ * with a "(n/N)" counter and within maxLength as the platform counts it.
+ * Keeps venue groups together where they fit, puts the header first and the
+ * footer last, and never splits a line (see splitSection)
+ * @param {string} text - Full text to split
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] - Max length of each chunk, including its counter (default 280)
+ * @param {Function} [options.countLength] - Length of a chunk as the platform counts it (default string length)
+ * @returns {string} - Chunks separated by "\n\n---THREAD---\n\n"
+ * @throws {SpotlightError} If maxLength leaves no room beside the counters
+ */
+function chunkForThread(text, options = {}) {
+  const { maxLength = 280, countLength = (chunk) => chunk.length } = options;
+  let counterReserve = COUNTER_RESERVE;
+
+  // Counters longer than the room kept for them (e.g. a 100+ post thread)
+  // take more of each post, so the text is split again with more room
+  for (;;) {
+    if (counterReserve >= maxLength) {
+      throw new SpotlightError(
+        `A thread limit of ${maxLength} characters leaves no room beside the post counters`,
+      );
+    }
+    const chunks = splitThread(text, maxLength - counterReserve, countLength);
+    const numberedChunks = chunks.map(
+      (chunk, i) => `${chunk}\n(${i + 1}/${chunks.length})`,
+    );
+    const overBy = Math.max(
+      0,
+      ...numberedChunks.map((chunk) => countLength(chunk) - maxLength),
+    );
+    if (overBy === 0) {
+      return numberedChunks.join(THREAD_SEPARATOR);
+    }
+    counterReserve += overBy;
+  }
 }
 
 module.exports = {
+  THREAD_SEPARATOR,
   generateSocialText,
   generateInstagramCompactText,
-  chunkForTwitterThread,
+  chunkForThread,
 };
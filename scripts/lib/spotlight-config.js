@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+const { SpotlightError, UsageError } = require("./errors");
+const { SPOTLIGHT_TYPES } = require("./spotlight-types");
+const { PLATFORMS, MIN_CHAR_LIMIT } = require("./platforms");
+
+// Directory holding the built-in spotlight configs (e.g. last-chance.json)
+const CONFIG_DIR = path.join(__dirname, "..", "..", "spotlights");
+
+/**
+ * List the names of the built-in spotlight configs
+ */
+function listSpotlightConfigs() {
+  return fs
+    .readdirSync(CONFIG_DIR)
+    .filter((file) => /\.(json|js)$/.test(file))
+    .map((file) => path.basename(file, path.extname(file)))
+    .sort();
+}
+
+/**
+ * Resolve a spotlight name (e.g. 'last-chance') or config file path
+ */
+function resolveConfigPath(nameOrPath) {
+  if (/\.(json|js)$/.test(nameOrPath)) {
+    const configPath = path.resolve(nameOrPath);
+    if (!fs.existsSync(configPath)) {
+      throw new SpotlightError(
+        `Spotlight config file not found: ${configPath}`,
+      );
+    }
+    return configPath;
+  }
+
+  for (const extension of [".json", ".js"]) {
+    const configPath = path.join(CONFIG_DIR, `${nameOrPath}${extension}`);
+    if (fs.existsSync(configPath)) {
+      return configPath;
+    }
+  }
+
+  throw new SpotlightError(
+    `Unknown spotlight "${nameOrPath}" (available: ${listSpotlightConfigs().join(", ")})`,
+  );
+}
+
+/**
+ * Check whether a value is a plain object (not an array, function or null)
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+/**
+ * Deep merge overrides into a config, returning a new object
+ * Plain objects are merged key by key; anything else replaces the base value
+ */
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeConfig(base[key], value)
+        : value;
+  }
+  return merged;
+}
+
+/**
+ * Parse command line overrides into a config object
+ * Each assignment is "dotted.path=value"; values are parsed as JSON where
+ * possible (numbers, booleans, null) and kept as strings otherwise
+ * @param {Array<string>} [assignments] - e.g. ["filters.minImdbRating=6"]
+ * @returns {Object} - e.g. { filters: { minImdbRating: 6 } }
+ */
+function parseOverrides(assignments = []) {
+  const overrides = {};
+
+  assignments.forEach((assignment) => {
+    const separator = assignment.indexOf("=");
+    if (separator <= 0) {
+      throw new UsageError(
+        `Invalid override "${assignment}" (expected key=value, e.g. filters.minImdbRating=6)`,
+      );
+    }
+
+    const keys = assignment.slice(0, separator).split(".");
+    const rawValue = assignment.slice(separator + 1);
+    let value;
+    try {
+      value = JSON.parse(rawValue);
+    } catch {
+      value = rawValue;
+    }
+
+    let target = overrides;
+    keys.slice(0, -1).forEach((key) => {
+      if (!isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+
+  return overrides;
+}
+
+/**
+ * Load a spotlight config file and apply overrides
+ *
+ * Config fields:
+ * - type: spotlight type, which provides the movie finder (see spotlight-types.js)
+ * - template: HTML template filename in templates/
+ * - maxCollageMovies: max posters in the collage
+ * - filters: thresholds passed to the finder (e.g. minImdbRating, maxVenues)
+ * - collage: { layout, sizing, formats } collage options
+ * - socialText: { header, intro, hashtags, venueIdField, footer, useInstagramCompact,
+ *   platforms, charLimits } (platforms lists the social platforms to write text for and
+ *   charLimits overrides their character limits, e.g. { mastodon: 1000 }, see platforms.js)
+ *
+ * @param {string} nameOrPath - Spotlight name (e.g. 'last-chance') or path to a .json/.js config
+ * @param {Object} [overrides] - Values to deep merge over the file's config
+ * @returns {Object} - Config with `name` and `configPath` set
+ */
+function loadSpotlightConfig(nameOrPath, overrides = {}) {
+  const configPath = resolveConfigPath(nameOrPath);
+
+  let fileConfig;
+  try {
+    fileConfig = configPath.endsWith(".js")
+      ? require(configPath)
+      : JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new SpotlightError(
+      `Could not load spotlight config ${configPath}: ${error.message}`,
+    );
+  }
+
+  const config = mergeConfig(
+    {
+      name: path.basename(configPath, path.extname(configPath)),
+      ...fileConfig,
+    },
+    overrides,
+  );
+  config.configPath = configPath;
+
+  const problems = [];
+  if (!SPOTLIGHT_TYPES[config.type]) {
+    problems.push(
+      `"type" must be one of: ${Object.keys(SPOTLIGHT_TYPES).join(", ")}`,
+    );
+  }
+  if (typeof config.template !== "string") {
+    problems.push(`"template" must be a template filename`);
+  }
+  ["header", "intro", "hashtags"].forEach((field) => {
+    if (typeof config.socialText?.[field] !== "string") {
+      problems.push(`"socialText.${field}" must be a string`);
+    }
+  });
+  []
+    .concat(config.socialText?.platforms ?? [])
+    .filter((platform) => !PLATFORMS[platform])
+    .forEach((platform) => {
+      problems.push(
+        `"socialText.platforms" has unknown platform "${platform}" (expected: ${Object.keys(PLATFORMS).join(", ")})`,
+      );
+    });
+  Object.entries(config.socialText?.charLimits ?? {}).forEach(
+    ([platform, charLimit]) => {
+      if (!Number.isInteger(charLimit) || charLimit < MIN_CHAR_LIMIT) {
+        problems.push(
+          `"socialText.charLimits.${platform}" must be a whole number of at least ${MIN_CHAR_LIMIT}`,
+        );
+      }
+    },
+  );
+  if (problems.length > 0) {
+    throw new SpotlightError(
+      `Invalid spotlight config ${configPath}:\n  - ${problems.join("\n  - ")}`,
+    );
+  }
+
+  return config;
+}
+
+module.exports = {
+  CONFIG_DIR,
+  listSpotlightConfigs,
+  loadSpotlightConfig,
+  mergeConfig,
+  parseOverrides,
+};
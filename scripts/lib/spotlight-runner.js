@@ -1,57 +1,131 @@
-const fs = require("fs");
-const path = require("path");
-const { getTimestamp, findGenreIdByName, formatDate } = require("./utils");
+const { getTimestamp, findGenreIdByName } = require("./utils");
 const { generateCollageHtml } = require("./collage");
+const { DEFAULT_FORMAT, resolveFormat, getPageName } = require("./formats");
 const { loadData } = require("./data-loader");
 const {
-  generateSocialText,
-  generateInstagramCompactText,
-  chunkForTwitterThread,
-} = require("./social-text");
+  ROOT_DIR,
+  getOutputPath,
+  writeOutputFile,
+  writeSiteHtml,
+} = require("./output");
+const { createRandom, generateSeed } = require("./random");
+const { loadSpotlightConfig, mergeConfig } = require("./spotlight-config");
+const { SPOTLIGHT_TYPES, findSpotlightMovies } = require("./spotlight-types");
+const { DEFAULT_PLATFORMS, getPlatform } = require("./platforms");
+const { describeMovie, writeManifest } = require("./manifest");
+
+/**
+ * Log rejected movies grouped by the filter that rejected them
+ * @param {Array} rejected - Rejections from findSpotlightMovies
+ * @param {Object} type - Spotlight type, to tell collage-only filters apart
+ */
+function logRejections(rejected, type) {
+  const byFilter = {};
+  rejected.forEach((rejection) => {
+    if (!byFilter[rejection.filter]) {
+      byFilter[rejection.filter] = [];
+    }
+    byFilter[rejection.filter].push(rejection);
+  });
+
+  console.log(`\nRejected ${rejected.length} movies:`);
+  [...type.filters, ...type.strictFilters]
+    .filter((filter) => byFilter[filter])
+    .forEach((filter) => {
+      const note = type.strictFilters.includes(filter)
+        ? ", still in social text"
+        : "";
+      console.log(`  ${filter} (${byFilter[filter].length}${note}):`);
+      byFilter[filter]
+        .sort((a, b) =>
+          a.candidate.movie.title.localeCompare(b.candidate.movie.title),
+        )
+        .forEach(({ candidate, reason }) => {
+          console.log(
+            `    - ${candidate.movie.title} (${candidate.movie.id}): ${reason}`,
+          );
+        });
+    });
+}
 
 /**
  * Run a spotlight generation
- * @param {Object} config - Spotlight configuration
- * @param {string} config.name - Spotlight name (e.g., 'last-chance', 'new-films')
- * @param {string} config.templateName - HTML template filename
- * @param {Function} config.findMovies - Function(data, imdbRatings, uncategorisedGenreId, options) => movies[]
- * @param {Function} config.logMovie - Function(movie) => string for console output
- * @param {Object} config.socialText - Social text configuration
- * @param {string} config.socialText.header - Header text
- * @param {string} config.socialText.intro - Intro text (use {{count}} for count)
- * @param {string} config.socialText.hashtags - Hashtags
- * @param {string} config.socialText.venueIdField - Field name for venue ID
- * @param {Function} [config.socialText.formatMovieLine] - Optional movie line formatter
- * @param {Function} [config.logExtra] - Optional extra logging function
- * @param {number} [config.maxCollageMovies] - Max movies in collage (default 100)
+ * @param {string|Object} spotlight - Spotlight name (e.g. 'last-chance'), path to a
+ *   config file, or an already loaded config (see loadSpotlightConfig)
+ * @param {Object} [options]
+ * @param {Object} [options.overrides] - Config values to override (e.g. { filters: { minImdbRating: 6 } })
+ * @param {Date} [options.now] - Reference time for the run (defaults to the current time)
+ * @param {string|number} [options.seed] - Seed for the collage layout and text (random if omitted)
+ * @param {string} [options.layout] - Collage placement algorithm, overriding the config ('grid' or 'packed')
+ * @param {string} [options.sizing] - Collage poster sizing, overriding the config ('uniform' or 'importance')
+ * @param {Array<string>} [options.formats] - Image formats, overriding the config (e.g. ['square', 'story'], see formats.js)
+ * @param {Array<string>} [options.platforms] - Social platforms to write text for, overriding the config (e.g. ['twitter', 'bluesky'], see platforms.js)
+ * @param {boolean} [options.explain] - Log every rejected movie with the filter that rejected it
+ * @param {string} [options.dataDir] - Directory holding combined-data/ and matched-data/ (see loadData)
+ * @param {string} [options.outDir] - Directory to write site/ and output/ to (defaults to the repo root)
+ * @param {boolean} [options.dryRun] - Log what would be generated without writing any files
+ * @param {string} [options.runId] - ID shared by the run's output filenames (defaults to the reference time, e.g. 2026-02-01_1900)
+ * @returns {Object} - Run result: name, runId, now, seed, layout, sizing,
+ *   pages (one { name, format, html, htmlPath } per format), html and
+ *   htmlPath (of the first page), texts (per platform, e.g. { twitter, instagram, generic }, each { text, path }),
+ *   collageMovies, movies (all movies in the social text) and manifestPath (see manifest.js)
  */
-function runSpotlight(config) {
+function runSpotlight(spotlight, options = {}) {
+  const config =
+    typeof spotlight === "string"
+      ? loadSpotlightConfig(spotlight, options.overrides)
+      : mergeConfig(spotlight, options.overrides);
   const {
     name,
-    templateName,
-    findMovies,
-    logMovie,
-    socialText: socialTextConfig,
-    logExtra,
+    template: templateName,
+    filters = {},
+    collage = {},
     maxCollageMovies = 100,
   } = config;
+  const type = SPOTLIGHT_TYPES[config.type];
+  const { logMovie, logExtra, formatMovieLine } = type;
+  const socialTextConfig = { formatMovieLine, ...config.socialText };
+  const {
+    now = new Date(),
+    seed = generateSeed(),
+    layout = collage.layout,
+    sizing = collage.sizing,
+    formats = collage.formats || [DEFAULT_FORMAT],
+    platforms = config.socialText.platforms || DEFAULT_PLATFORMS,
+    explain = false,
+    dataDir,
+    outDir,
+    dryRun = false,
+    runId = getTimestamp(now),
+  } = options;
 
-  const rootDir = path.join(__dirname, "..", "..");
-  const { data, imdbRatings } = loadData(rootDir);
+  // Letterboxd and Rotten Tomatoes ratings are only read for the manifest
+  const sources = loadData(ROOT_DIR, { dataDir });
+  const { data, imdbRatings } = sources;
 
-  console.log(`Current time: ${new Date().toISOString()}`);
+  console.log(`Spotlight config: ${config.configPath || name}`);
+  console.log(`Current time: ${now.toISOString()}`);
+  console.log(`Seed: ${seed}`);
   if (logExtra) {
-    logExtra();
+    logExtra(now);
   }
 
   const uncategorisedGenreId = findGenreIdByName(data.genres, "Uncategorised");
 
   // Get filtered movies for the collage (strict filters)
-  const collageMovies = findMovies(data, imdbRatings, uncategorisedGenreId, {
-    strictFilters: true,
-  });
+  const { movies: collageMovies, rejected } = findSpotlightMovies(
+    type,
+    data,
+    imdbRatings,
+    uncategorisedGenreId,
+    { strictFilters: true, now, filters },
+  );
   console.log(`\nFound ${collageMovies.length} movies for collage (filtered)`);
 
+  if (explain) {
+    logRejections(rejected, type);
+  }
+
   if (collageMovies.length > 0) {
     console.log("\nCollage movies:");
     collageMovies.forEach((m) => {
@@ -63,60 +137,93 @@ function runSpotlight(config) {
   const limitedMovies = maxCollageMovies
     ? collageMovies.slice(0, maxCollageMovies)
     : collageMovies;
-  const html = generateCollageHtml(limitedMovies, templateName);
-  const siteDir = path.join(rootDir, "site");
-  fs.mkdirSync(siteDir, { recursive: true });
-  const htmlPath = path.join(siteDir, `${name}.html`);
-  fs.writeFileSync(htmlPath, html);
-  console.log(`\nHTML generated: ${htmlPath}`);
+  // One page per image format, each with its own layout. A single format
+  // (e.g. from --set collage.formats=story) is treated as a list of one
+  const pages = []
+    .concat(formats)
+    .map(resolveFormat)
+    .map((format) => {
+      const pageName = getPageName(name, format);
+      const html = generateCollageHtml(limitedMovies, templateName, {
+        seed,
+        layout,
+        sizing,
+        format,
+      });
+      const htmlPath = writeSiteHtml(pageName, html, { outDir, dryRun });
+      return { name: pageName, format, html, htmlPath };
+    });
 
   // Get all movies for social text (no strict filters)
-  const allMovies = findMovies(data, imdbRatings, uncategorisedGenreId, {
-    strictFilters: false,
-  });
+  const { movies: allMovies } = findSpotlightMovies(
+    type,
+    data,
+    imdbRatings,
+    uncategorisedGenreId,
+    { strictFilters: false, now, filters },
+  );
   console.log(`Found ${allMovies.length} movies for social text (all)`);
 
-  // Generate social media text files
-  const outputDir = path.join(rootDir, "output");
-  fs.mkdirSync(outputDir, { recursive: true });
-
-  const timestamp = getTimestamp();
+  // Generate social media text files for each platform (see platforms.js)
+  const texts = {};
 
-  // Generate for each platform
-  const platforms = ["twitter", "instagram", null];
-  const platformNames = ["twitter", "instagram", "generic"];
-
-  platforms.forEach((platform, i) => {
-    let text;
-    if (platform === "instagram" && socialTextConfig.useInstagramCompact) {
-      // Use compact format for Instagram if opted in
-      text = generateInstagramCompactText(
-        allMovies,
-        data.venues,
-        socialTextConfig,
-      );
-    } else if (platform === "twitter") {
-      // Generate full text then chunk for Twitter thread
-      const fullText = generateSocialText(allMovies, data.venues, {
+  []
+    .concat(platforms)
+    .map((platformName) =>
+      getPlatform(platformName, socialTextConfig.charLimits),
+    )
+    .forEach((platform) => {
+      const text = platform.format(allMovies, data.venues, {
         ...socialTextConfig,
         platform,
+        now,
+        random: createRandom(`${seed}:${platform.name}`),
       });
-      text = chunkForTwitterThread(fullText);
-    } else {
-      text = generateSocialText(allMovies, data.venues, {
-        ...socialTextConfig,
-        platform,
+      const outputPath = getOutputPath(
+        `${name}-${platform.name}_${runId}.txt`,
+        outDir,
+      );
+      writeOutputFile(outputPath, text, {
+        label: `${platform.label} text generated`,
+        details: `${platform.countLength(text)} chars`,
+        dryRun,
       });
-    }
-    const outputPath = path.join(
-      outputDir,
-      `${name}-${platformNames[i]}_${timestamp}.txt`,
-    );
-    fs.writeFileSync(outputPath, text, "utf8");
-    console.log(
-      `${platformNames[i].charAt(0).toUpperCase() + platformNames[i].slice(1)} text generated: ${outputPath} (${text.length} chars)`,
-    );
-  });
+      texts[platform.name] = { text, path: outputPath };
+    });
+
+  const result = {
+    name,
+    runId,
+    now,
+    seed,
+    layout,
+    sizing,
+    pages,
+    html: pages[0].html,
+    htmlPath: pages[0].htmlPath,
+    texts,
+    collageMovies: limitedMovies,
+    movies: allMovies,
+  };
+
+  const collageIds = new Set(limitedMovies.map((m) => m.id));
+  const { manifestPath } = writeManifest(
+    result,
+    {
+      seed,
+      movies: allMovies.map((m) => ({
+        ...describeMovie(data.movies[m.id], {
+          data,
+          ratingSources: sources,
+          now,
+        }),
+        inCollage: collageIds.has(m.id),
+      })),
+    },
+    { outDir, dryRun },
+  );
+
+  return { ...result, manifestPath };
 }
 
 module.exports = {
@@ -0,0 +1,199 @@
+const {
+  getStartOfWeek,
+  getEndOfWeek,
+  formatDate,
+  formatSocialDate,
+} = require("./utils");
+const { createCandidate, getFilters, applyFilters } = require("./filters");
+
+// Configuration constants
+const TMDB_IMAGE_BASE = "https://image.tmdb.org/t/p/w500";
+
+/**
+ * Build the shared filter context for a run
+ * @param {Object} options - { now, filters } where filters holds the config thresholds
+ */
+function createFilterContext(uncategorisedGenreId, options = {}) {
+  const { now = new Date(), filters = {} } = options;
+  return {
+    now: now.getTime(),
+    startOfWeek: getStartOfWeek(now),
+    endOfWeek: getEndOfWeek(now),
+    uncategorisedGenreId,
+    thresholds: filters,
+  };
+}
+
+/**
+ * Find the movies for a spotlight type by running its filter pipeline
+ * @param {Object} type - Spotlight type (see SPOTLIGHT_TYPES)
+ * @param {Object} options - { strictFilters, now, filters } where filters holds
+ *   the config thresholds (e.g. minImdbRating, maxVenues)
+ * @returns {{movies: Array, rejected: Array<{candidate, filter, reason}>}}
+ */
+function findSpotlightMovies(
+  type,
+  data,
+  imdbRatings,
+  uncategorisedGenreId,
+  options = {},
+) {
+  const { strictFilters = true } = options;
+  const context = createFilterContext(uncategorisedGenreId, options);
+  const filters = getFilters(
+    strictFilters ? [...type.filters, ...type.strictFilters] : type.filters,
+  );
+
+  const candidates = Object.values(data.movies).map((movie) =>
+    createCandidate(movie, imdbRatings, context.now),
+  );
+  const { accepted, rejected } = applyFilters(candidates, filters, context);
+
+  // Sort alphabetically by title
+  const movies = accepted
+    .map(type.toSpotlightMovie)
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+  return { movies, rejected };
+}
+
+/**
+ * Find movies that will have no more performances after the end of the week
+ * @param {Object} options - { strictFilters, now, filters } where filters holds
+ *   minDurationMinutes, minImdbRating, maxPerformances and maxVenues (null disables a max)
+ */
+function findLastChanceMovies(
+  data,
+  imdbRatings,
+  uncategorisedGenreId,
+  options = {},
+) {
+  return findSpotlightMovies(
+    SPOTLIGHT_TYPES["last-chance"],
+    data,
+    imdbRatings,
+    uncategorisedGenreId,
+    options,
+  ).movies;
+}
+
+/**
+ * Find movies that were first seen this week
+ * @param {Object} options - { strictFilters, now, filters } where filters holds
+ *   minDurationMinutes and minImdbRating
+ */
+function findNewFilms(data, imdbRatings, uncategorisedGenreId, options = {}) {
+  return findSpotlightMovies(
+    SPOTLIGHT_TYPES["new-films"],
+    data,
+    imdbRatings,
+    uncategorisedGenreId,
+    options,
+  ).movies;
+}
+
+/**
+ * Spotlight types, referenced by the `type` field of a spotlight config
+ * Each type provides the code behind a spotlight: the filters it composes
+ * (`filters` apply to everything, `strictFilters` only to the collage), how to
+ * turn a matching movie into a spotlight movie, how to log it and how to
+ * format a movie line in the social text. Thresholds, copy and templates live
+ * in the config files (see spotlights/)
+ */
+const SPOTLIGHT_TYPES = {
+  "last-chance": {
+    filters: [
+      "has-performances",
+      "feature-length",
+      "not-uncategorised",
+      "has-upcoming-performances",
+      "ends-this-week",
+    ],
+    strictFilters: [
+      "has-poster",
+      "has-actors",
+      "min-rating",
+      "max-performances",
+      "max-venues",
+    ],
+    toSpotlightMovie: (candidate) => {
+      const { movie, latestPerformanceTime } = candidate;
+
+      // Find the venue for the last performance
+      const lastPerformance = movie.performances.find(
+        (p) => p.time === latestPerformanceTime,
+      );
+      const lastShowing = movie.showings[lastPerformance?.showingId];
+
+      return {
+        id: movie.id,
+        title: movie.title,
+        posterUrl: movie.posterPath ? TMDB_IMAGE_BASE + movie.posterPath : null,
+        latestPerformance: new Date(latestPerformanceTime).toISOString(),
+        lastVenueId: lastShowing?.venueId,
+        performanceCount: candidate.performanceCount,
+        venueCount: candidate.venueCount,
+        rating: candidate.rating,
+      };
+    },
+    logMovie: (m) =>
+      `${m.title} (${m.rating} IMDB, ${m.performanceCount} showings, ${m.venueCount} venues, last: ${formatDate(m.latestPerformance)})`,
+    logExtra: (now) => {
+      console.log(`End of week: ${getEndOfWeek(now).toISOString()}`);
+    },
+    formatMovieLine: (movie, { compact, now }) =>
+      compact
+        ? `${movie.title} - ${formatSocialDate(movie.latestPerformance, true, now)}\n`
+        : `   \u{1F3AC} ${movie.title} - ${formatSocialDate(movie.latestPerformance, false, now)}\n`,
+  },
+  "new-films": {
+    filters: [
+      "has-seen-timestamp",
+      "first-seen-window",
+      "feature-length",
+      "not-uncategorised",
+      "has-upcoming-performances",
+    ],
+    strictFilters: ["has-poster", "has-actors", "min-rating"],
+    toSpotlightMovie: (candidate) => {
+      const { movie, upcomingPerformances, earliestSeen } = candidate;
+
+      // Find the first venue (for social media grouping)
+      let firstVenueId = null;
+      if (upcomingPerformances.length > 0 && movie.showings) {
+        const firstPerformance = [...upcomingPerformances].sort(
+          (a, b) => a.time - b.time,
+        )[0];
+        const firstShowing = movie.showings[firstPerformance?.showingId];
+        firstVenueId = firstShowing?.venueId;
+      }
+
+      return {
+        id: movie.id,
+        title: movie.title,
+        posterUrl: movie.posterPath ? TMDB_IMAGE_BASE + movie.posterPath : null,
+        seenAt: new Date(earliestSeen).toISOString(),
+        firstVenueId,
+        performanceCount: candidate.performanceCount,
+        venueCount: candidate.venueCount,
+        rating: candidate.rating,
+      };
+    },
+    logMovie: (m) =>
+      `${m.title} (${m.rating} IMDB, ${m.performanceCount} showings, ${m.venueCount} venues, seen: ${formatDate(m.seenAt)})`,
+    logExtra: (now) => {
+      console.log(`Start of week: ${getStartOfWeek(now).toISOString()}`);
+      console.log(`End of week: ${getEndOfWeek(now).toISOString()}`);
+    },
+    formatMovieLine: (movie, { compact }) =>
+      compact ? `${movie.title}\n` : `   \u{1F3AC} ${movie.title}\n`,
+  },
+};
+
+module.exports = {
+  SPOTLIGHT_TYPES,
+  createFilterContext,
+  findSpotlightMovies,
+  findLastChanceMovies,
+  findNewFilms,
+};
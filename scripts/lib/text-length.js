@@ -0,0 +1,102 @@
+/**
+ * Post lengths as the platforms count them, which isn't string.length:
+ * string.length counts UTF-16 code units, so 🎬 is 2. Bluesky counts
+ * graphemes (🎬 is 1), Twitter weighs characters (CJK and emoji are 2) and
+ * counts every link as 23, and Mastodon counts every link as 23 too
+ */
+
+// Characters Twitter and Mastodon count a link as, however long it is
+const LINK_LENGTH = 23;
+// Code points Twitter counts as 1; everything else (e.g. CJK) counts as 2
+const TWITTER_LIGHT_RANGES = [
+  [0x0000, 0x10ff],
+  [0x2000, 0x200d],
+  [0x2010, 0x201f],
+  [0x2032, 0x2037],
+];
+
+const URL_PATTERN = /https?:\/\/[^\s]+/g;
+// Twitter also links bare domains (e.g. Clusterflick.com) with these endings
+const BARE_DOMAIN_PATTERN =
+  /(?<![@\w.\/-])(?:[a-z0-9-]+\.)+(?:com|org|net|io|co|uk|film|cinema|london)(?:\/[^\s]*)?(?![\w-])/gi;
+// Mastodon counts a mention of a remote account (@user@instance) as @user
+const REMOTE_MENTION_PATTERN = /(@[\w.-]+)@[\w.-]+\.[a-z]+/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+const graphemeSegmenter = new Intl.Segmenter("en", {
+  granularity: "grapheme",
+});
+
+/**
+ * Number of code points in a text, so 🎬 is 1 but a flag (two code points)
+ * is 2. How Instagram, Threads and Facebook count
+ */
+function countCodePoints(text) {
+  return [...text].length;
+}
+
+/**
+ * Number of graphemes (user-perceived characters) in a text
+ */
+function countGraphemes(text) {
+  let count = 0;
+  for (const _ of graphemeSegmenter.segment(text)) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * A text's graphemes, so shortening it never splits an emoji or accent
+ */
+function splitGraphemes(text) {
+  return [...graphemeSegmenter.segment(text)].map(({ segment }) => segment);
+}
+
+/**
+ * Length of a tweet: links count as 23, each emoji (however many code
+ * points) as 2, and characters outside the Latin and punctuation ranges
+ * (e.g. CJK) as 2
+ */
+function countTwitterLength(text) {
+  const placeholder = "x".repeat(LINK_LENGTH);
+  const counted = text
+    .normalize("NFC")
+    .replace(URL_PATTERN, placeholder)
+    .replace(BARE_DOMAIN_PATTERN, placeholder);
+
+  let length = 0;
+  for (const { segment } of graphemeSegmenter.segment(counted)) {
+    if (EMOJI_PATTERN.test(segment)) {
+      length += 2;
+      continue;
+    }
+    for (const character of segment) {
+      const codePoint = character.codePointAt(0);
+      const isLight = TWITTER_LIGHT_RANGES.some(
+        ([start, end]) => codePoint >= start && codePoint <= end,
+      );
+      length += isLight ? 1 : 2;
+    }
+  }
+  return length;
+}
+
+/**
+ * Length of a Mastodon post: code points, with links counted as 23
+ * characters and remote mentions by their username
+ */
+function countMastodonLength(text) {
+  const counted = text
+    .replace(URL_PATTERN, "x".repeat(LINK_LENGTH))
+    .replace(REMOTE_MENTION_PATTERN, "$1");
+  return countCodePoints(counted);
+}
+
+module.exports = {
+  countCodePoints,
+  countGraphemes,
+  splitGraphemes,
+  countTwitterLength,
+  countMastodonLength,
+};
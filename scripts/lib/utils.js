@@ -2,17 +2,141 @@
  * Shared utility functions for spotlight generation
  */
 
+const { UsageError } = require("./errors");
+
+// Timezone used for week boundaries and displayed dates (all venues are in London)
+const DEFAULT_TIMEZONE = process.env.SPOTLIGHT_TIMEZONE || "Europe/London";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const zonedFormatters = new Map();
+
+/**
+ * Resolve the reference time ("now") for a run
+ * Accepts an ISO date string or epoch milliseconds, falling back to the
+ * SPOTLIGHT_NOW environment variable and then the current time
+ * @param {string|number} [value] - Reference time override
+ * @returns {Date}
+ */
+function resolveNow(value = process.env.SPOTLIGHT_NOW) {
+  if (value === undefined || value === null || value === "") {
+    return new Date();
+  }
+
+  const date = /^\d+$/.test(String(value))
+    ? new Date(Number(value))
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UsageError(
+      `Invalid reference time "${value}" (expected an ISO date or epoch milliseconds)`,
+    );
+  }
+  return date;
+}
+
+/**
+ * Get the calendar fields of a date as seen on a wall clock in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} [timeZone] - IANA timezone (defaults to DEFAULT_TIMEZONE)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month is 1-12, weekday is 0 (Sunday) to 6 (Saturday)
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-GB", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        weekday: "short",
+      }),
+    );
+  }
+
+  const parts = {};
+  zonedFormatters
+    .get(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the matching instant
+ * Out-of-range fields roll over (e.g. day 32 becomes the 1st of next month)
+ * @param {Object} fields - { year, month (1-12), day, hour, minute, second, millisecond }
+ * @param {string} [timeZone] - IANA timezone (defaults to DEFAULT_TIMEZONE)
+ * @returns {Date}
+ */
+function zonedTimeToDate(fields, timeZone = DEFAULT_TIMEZONE) {
+  const {
+    year,
+    month,
+    day,
+    hour = 0,
+    minute = 0,
+    second = 0,
+    millisecond = 0,
+  } = fields;
+  const wallClock = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond,
+  );
+
+  // Offset of the zone from UTC at a given instant, in milliseconds
+  const offsetAt = (timestamp) => {
+    const p = getZonedParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(
+      p.year,
+      p.month - 1,
+      p.day,
+      p.hour,
+      p.minute,
+      p.second,
+    );
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+  };
+
+  // Guess using the offset at the wall-clock time, then correct once in case
+  // a DST transition falls between the guess and the real instant
+  const firstGuess = wallClock - offsetAt(wallClock);
+  const secondOffset = offsetAt(firstGuess);
+  return new Date(wallClock - secondOffset);
+}
+
 /**
  * Generate a timestamp string for filenames (YYYY-MM-DD_HHMM)
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @param {string} [timeZone] - IANA timezone (defaults to DEFAULT_TIMEZONE)
  */
-function getTimestamp() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, "0");
-  const day = String(now.getDate()).padStart(2, "0");
-  const hours = String(now.getHours()).padStart(2, "0");
-  const minutes = String(now.getMinutes()).padStart(2, "0");
-  return `${year}-${month}-${day}_${hours}${minutes}`;
+function getTimestamp(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const parts = getZonedParts(now, timeZone);
+  const month = String(parts.month).padStart(2, "0");
+  const day = String(parts.day).padStart(2, "0");
+  const hours = String(parts.hour).padStart(2, "0");
+  const minutes = String(parts.minute).padStart(2, "0");
+  return `${parts.year}-${month}-${day}_${hours}${minutes}`;
 }
 
 /**
@@ -28,33 +152,41 @@ function findGenreIdByName(genres, name) {
 }
 
 /**
- * Get the start of the current week (Monday 00:00:00)
+ * Get the start of the current week (Monday 00:00:00 in the given timezone)
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @param {string} [timeZone] - IANA timezone (defaults to DEFAULT_TIMEZONE)
  */
-function getStartOfWeek() {
-  const now = new Date();
-  const dayOfWeek = now.getDay(); // 0 = Sunday, 6 = Saturday
-  const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-
-  const startOfWeek = new Date(now);
-  startOfWeek.setDate(now.getDate() - daysFromMonday);
-  startOfWeek.setHours(0, 0, 0, 0);
+function getStartOfWeek(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day, weekday } = getZonedParts(now, timeZone);
+  const daysFromMonday = weekday === 0 ? 6 : weekday - 1;
 
-  return startOfWeek;
+  return zonedTimeToDate(
+    { year, month, day: day - daysFromMonday, hour: 0, minute: 0, second: 0 },
+    timeZone,
+  );
 }
 
 /**
- * Get the end of the current week (Sunday 23:59:59)
+ * Get the end of the current week (Sunday 23:59:59 in the given timezone)
+ * @param {Date} [now] - Reference time (defaults to the current time)
+ * @param {string} [timeZone] - IANA timezone (defaults to DEFAULT_TIMEZONE)
  */
-function getEndOfWeek() {
-  const now = new Date();
-  const dayOfWeek = now.getDay(); // 0 = Sunday, 6 = Saturday
-  const daysUntilEndOfWeek = 7 - dayOfWeek; // Days until next Sunday
+function getEndOfWeek(now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day, weekday } = getZonedParts(now, timeZone);
+  const daysUntilEndOfWeek = 7 - weekday; // Days until next Sunday
 
-  const endOfWeek = new Date(now);
-  endOfWeek.setDate(now.getDate() + daysUntilEndOfWeek);
-  endOfWeek.setHours(23, 59, 59, 999);
-
-  return endOfWeek;
+  return zonedTimeToDate(
+    {
+      year,
+      month,
+      day: day + daysUntilEndOfWeek,
+      hour: 23,
+      minute: 59,
+      second: 59,
+      millisecond: 999,
+    },
+    timeZone,
+  );
 }
 
 /**
@@ -87,10 +219,13 @@ function escapeHtml(text) {
 
 /**
  * Format ISO date to readable format
+ * @param {string} isoDate - ISO date string
+ * @param {string} [timeZone] - IANA timezone (defaults to DEFAULT_TIMEZONE)
  */
-function formatDate(isoDate) {
+function formatDate(isoDate, timeZone = DEFAULT_TIMEZONE) {
   const date = new Date(isoDate);
   return date.toLocaleDateString("en-GB", {
+    timeZone,
     weekday: "short",
     day: "numeric",
     month: "short",
@@ -112,17 +247,30 @@ function getOrdinalSuffix(n) {
  * Format date for social media (friendlier format)
  * @param {string} isoDate - ISO date string
  * @param {boolean} compact - Use compact format for character-limited platforms
+ * @param {Date} [now] - Reference time, used to decide whether to show the month
+ * @param {string} [timeZone] - IANA timezone (defaults to DEFAULT_TIMEZONE)
  */
-function formatSocialDate(isoDate, compact = false) {
+function formatSocialDate(
+  isoDate,
+  compact = false,
+  now = new Date(),
+  timeZone = DEFAULT_TIMEZONE,
+) {
   const date = new Date(isoDate);
-  const now = new Date();
-  const dayNum = date.getDate();
+  const parts = getZonedParts(date, timeZone);
+  const nowParts = getZonedParts(now, timeZone);
+  const dayNum = parts.day;
+  const isDifferentMonth =
+    parts.month !== nowParts.month || parts.year !== nowParts.year;
 
   if (compact) {
     // Compact format: "Wed 4 @ 8pm" or "Wed 4 Feb @ 8pm"
-    const weekday = date.toLocaleDateString("en-GB", { weekday: "short" });
-    const hour = date.getHours();
-    const minute = date.getMinutes();
+    const weekday = date.toLocaleDateString("en-GB", {
+      timeZone,
+      weekday: "short",
+    });
+    const hour = parts.hour;
+    const minute = parts.minute;
     const hour12 = hour % 12 || 12;
     const ampm = hour < 12 ? "am" : "pm";
     const timeStr =
@@ -130,34 +278,42 @@ function formatSocialDate(isoDate, compact = false) {
         ? `${hour12}${ampm}`
         : `${hour12}:${String(minute).padStart(2, "0")}${ampm}`;
 
-    if (
-      date.getMonth() !== now.getMonth() ||
-      date.getFullYear() !== now.getFullYear()
-    ) {
-      const month = date.toLocaleDateString("en-GB", { month: "short" });
+    if (isDifferentMonth) {
+      const month = date.toLocaleDateString("en-GB", {
+        timeZone,
+        month: "short",
+      });
       return `${weekday} ${dayNum} ${month} @ ${timeStr}`;
     }
     return `${weekday} ${dayNum} @ ${timeStr}`;
   }
 
   // Full format: "Wednesday 4th at 20:00"
-  const weekday = date.toLocaleDateString("en-GB", { weekday: "long" });
+  const weekday = date.toLocaleDateString("en-GB", {
+    timeZone,
+    weekday: "long",
+  });
   const time = date.toLocaleTimeString("en-GB", {
+    timeZone,
     hour: "2-digit",
     minute: "2-digit",
   });
 
-  if (
-    date.getMonth() !== now.getMonth() ||
-    date.getFullYear() !== now.getFullYear()
-  ) {
-    const month = date.toLocaleDateString("en-GB", { month: "short" });
+  if (isDifferentMonth) {
+    const month = date.toLocaleDateString("en-GB", {
+      timeZone,
+      month: "short",
+    });
     return `${weekday} ${dayNum}${getOrdinalSuffix(dayNum)} ${month} at ${time}`;
   }
   return `${weekday} ${dayNum}${getOrdinalSuffix(dayNum)} at ${time}`;
 }
 
 module.exports = {
+  DEFAULT_TIMEZONE,
+  resolveNow,
+  getZonedParts,
+  zonedTimeToDate,
   getTimestamp,
   findGenreIdByName,
   getStartOfWeek,
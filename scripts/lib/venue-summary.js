@@ -0,0 +1,255 @@
+/**
+ * Where and how often a movie or program is showing: upcoming performance
+ * counts, "the next 2 weeks" durations and venue lists, shared by the single
+ * movie, program and collage spotlights
+ */
+
+const { escapeHtml } = require("./utils");
+const { SpotlightError } = require("./errors");
+
+// Venues listed before they're grouped (e.g. "7 ODEONs") and the most list
+// items shown before the rest are counted as "& X more"
+const DEFAULT_MAX_DISPLAY_ITEMS = 7;
+// html wraps each name in <span class="venue-name">, handles adds the
+// venue's handle on a platform (e.g. "BFI Southbank @BFI")
+const VENUE_LIST_FORMATS = ["html", "plain", "handles"];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Upcoming performances of a movie or program
+ * @param {Object} showingsSource - Movie or program with showings and performances
+ * @param {number} now - Reference time in milliseconds
+ * @returns {{venueIds: Array<string>, performanceCount: number, lastPerformanceTime: number}} -
+ *   Venues with upcoming performances, how many there are and when the last one is (0 when none)
+ */
+function getUpcomingPerformances(showingsSource, now) {
+  const venueIds = new Set();
+  let performanceCount = 0;
+  let lastPerformanceTime = 0;
+
+  for (const showingId in showingsSource.showings || {}) {
+    const showing = showingsSource.showings[showingId];
+    const upcoming = (showingsSource.performances || []).filter(
+      (p) => p.showingId === showingId && p.time > now,
+    );
+    if (upcoming.length > 0 && showing.venueId) {
+      venueIds.add(showing.venueId);
+      performanceCount += upcoming.length;
+      upcoming.forEach((p) => {
+        lastPerformanceTime = Math.max(lastPerformanceTime, p.time);
+      });
+    }
+  }
+
+  return { venueIds: [...venueIds], performanceCount, lastPerformanceTime };
+}
+
+/**
+ * Each upcoming performance of a movie or program, soonest first
+ * @param {Object} showingsSource - Movie or program with showings and performances
+ * @param {Object} venuesById - Venues data
+ * @param {number} now - Reference time in milliseconds
+ * @returns {Array<{time: string, venueId: string, venue: string}>} - ISO time, venue ID and name
+ */
+function listUpcomingPerformances(showingsSource, venuesById, now) {
+  return (showingsSource.performances || [])
+    .filter((p) => p.time > now)
+    .sort((a, b) => a.time - b.time)
+    .map((p) => {
+      const venueId = showingsSource.showings?.[p.showingId]?.venueId || null;
+      return {
+        time: new Date(p.time).toISOString(),
+        venueId,
+        venue: venuesById[venueId]?.name || null,
+      };
+    });
+}
+
+/**
+ * How long until the last performance, e.g. "the next 3 days", "the next
+ * week", "the next 2 months" ("" when there are no upcoming performances)
+ * @param {number} lastPerformanceTime - Time of the last performance in milliseconds
+ * @param {number} now - Reference time in milliseconds
+ */
+function getShowingDuration(lastPerformanceTime, now) {
+  if (lastPerformanceTime <= now) {
+    return "";
+  }
+
+  const daysUntilLast = Math.ceil((lastPerformanceTime - now) / DAY_MS);
+  if (daysUntilLast <= 3) {
+    return `the next ${daysUntilLast} day${daysUntilLast === 1 ? "" : "s"}`;
+  } else if (daysUntilLast <= 7) {
+    return "the next week";
+  } else if (daysUntilLast <= 14) {
+    return "the next 2 weeks";
+  } else if (daysUntilLast <= 21) {
+    return "the next 3 weeks";
+  } else if (daysUntilLast <= 35) {
+    return "the next month";
+  } else if (daysUntilLast <= 60) {
+    return "the next 2 months";
+  }
+  return `the next ${Math.round(daysUntilLast / 30)} months`;
+}
+
+/**
+ * Group venues into list items: each venue on its own up to maxDisplayItems
+ * venues, otherwise venues sharing a groupName become one item (e.g.
+ * "7 ODEONs"). Past maxDisplayItems items, the rest are counted instead
+ * @param {Array<Object>} venues - Venue objects (name, groupName)
+ * @param {Object} [options]
+ * @param {number} [options.maxDisplayItems] - Grouping threshold and most items listed (defaults to 7)
+ * @returns {{items: Array<{text: string, venues: Array<Object>}>, moreCount: number}} -
+ *   Items sorted by text, and the number of venues in the items left out
+ */
+function groupVenues(venues, options = {}) {
+  const { maxDisplayItems = DEFAULT_MAX_DISPLAY_ITEMS } = options;
+  let items;
+
+  if (venues.length <= maxDisplayItems) {
+    items = venues.map((venue) => ({ text: venue.name, venues: [venue] }));
+  } else {
+    const groups = {}; // { groupName: [venue, ...] }
+    const ungrouped = [];
+    venues.forEach((venue) => {
+      if (venue.groupName) {
+        groups[venue.groupName] = [...(groups[venue.groupName] || []), venue];
+      } else {
+        ungrouped.push(venue);
+      }
+    });
+
+    items = [
+      ...Object.entries(groups).map(([groupName, groupVenues]) => {
+        if (groupVenues.length === 1) {
+          return { text: groupVenues[0].name, venues: groupVenues };
+        }
+        const plural = groupName.endsWith("s") ? groupName : `${groupName}s`;
+        return { text: `${groupVenues.length} ${plural}`, venues: groupVenues };
+      }),
+      ...ungrouped.map((venue) => ({ text: venue.name, venues: [venue] })),
+    ];
+  }
+
+  items.sort((a, b) => a.text.localeCompare(b.text));
+
+  if (items.length <= maxDisplayItems) {
+    return { items, moreCount: 0 };
+  }
+  return {
+    items: items.slice(0, maxDisplayItems - 1),
+    moreCount: items
+      .slice(maxDisplayItems - 1)
+      .reduce((sum, item) => sum + item.venues.length, 0),
+  };
+}
+
+/**
+ * A venue's handle on a platform, from venue.socials (null when missing)
+ */
+function getVenueHandle(venue, platform) {
+  return (platform && venue?.socials?.[platform]) || null;
+}
+
+/**
+ * A list of venues as text, e.g. "BFI Southbank, Garden Cinema, & 7 ODEONs"
+ * or "A, B, C, & 12 more"
+ * @param {Array<Object>} venues - Venue objects (name, groupName, socials)
+ * @param {Object} [options]
+ * @param {string} [options.format] - "html", "plain" or "handles" (defaults to "plain")
+ * @param {string} [options.platform] - Platform whose handles are added, for the handles format (e.g. "twitter")
+ * @param {number} [options.maxDisplayItems] - See groupVenues
+ */
+function formatVenueList(venues, options = {}) {
+  const { format = "plain", platform } = options;
+  if (!VENUE_LIST_FORMATS.includes(format)) {
+    throw new SpotlightError(
+      `Unknown venue list format "${format}" (expected one of: ${VENUE_LIST_FORMATS.join(", ")})`,
+    );
+  }
+
+  const formatText = (text, venue) => {
+    if (format === "html") {
+      return `<span class="venue-name">${escapeHtml(text)}</span>`;
+    }
+    const handle = format === "handles" && getVenueHandle(venue, platform);
+    return handle ? `${text} @${handle}` : text;
+  };
+
+  const { items, moreCount } = groupVenues(venues, options);
+  const texts = items.map((item) =>
+    formatText(item.text, item.venues.length === 1 ? item.venues[0] : null),
+  );
+
+  if (moreCount > 0) {
+    return `${texts.join(", ")}, & ${formatText(`${moreCount} more`)}`;
+  } else if (texts.length <= 2) {
+    return texts.join(" & ");
+  }
+  return `${texts.slice(0, -1).join(", ")}, & ${texts[texts.length - 1]}`;
+}
+
+/**
+ * The "Showing 4 performances over the next 2 weeks, at ..." sentence
+ * @param {Object} summary - performanceCount and duration (see summarizeVenues)
+ * @param {string} venuesText - The venue list (see formatVenueList)
+ */
+function getShowingText(summary, venuesText) {
+  const { performanceCount, duration } = summary;
+  if (performanceCount === 0) {
+    return `Now showing at ${venuesText}`;
+  }
+
+  const perfWord = performanceCount === 1 ? "performance" : "performances";
+  if (!duration) {
+    return `Showing ${performanceCount} ${perfWord}, at ${venuesText}`;
+  }
+  // A single performance is "in 3 weeks" rather than "over the next 3 weeks"
+  const durationText =
+    performanceCount === 1
+      ? `in ${duration.replace("the next ", "")}`
+      : `over ${duration}`;
+  return `Showing ${performanceCount} ${perfWord} ${durationText}, at ${venuesText}`;
+}
+
+/**
+ * Where a movie or program is showing next
+ * @param {Object} showingsSource - Movie or program with showings and performances
+ * @param {Object} venuesById - Venues data
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @returns {{venues: Array<Object>, venueNames: Array<string>, performanceCount: number,
+ *   lastPerformanceTime: number, duration: string}} - The venues (and their names,
+ *   sorted) with upcoming performances, the performance count and showing duration
+ */
+function summarizeVenues(showingsSource, venuesById, options = {}) {
+  const now = (options.now || new Date()).getTime();
+  const { venueIds, performanceCount, lastPerformanceTime } =
+    getUpcomingPerformances(showingsSource, now);
+  const venues = venueIds.map((id) => venuesById[id]).filter(Boolean);
+
+  return {
+    venues,
+    venueNames: venues
+      .map((venue) => venue.name)
+      .sort((a, b) => a.localeCompare(b)),
+    performanceCount,
+    lastPerformanceTime,
+    duration: getShowingDuration(lastPerformanceTime, now),
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_DISPLAY_ITEMS,
+  VENUE_LIST_FORMATS,
+  getUpcomingPerformances,
+  listUpcomingPerformances,
+  getShowingDuration,
+  groupVenues,
+  getVenueHandle,
+  formatVenueList,
+  getShowingText,
+  summarizeVenues,
+};
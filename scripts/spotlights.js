@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+const { runCli } = require("./lib/cli");
+
+// Entry point for the `spotlights` CLI, run `spotlights --help` for commands
+runCli();
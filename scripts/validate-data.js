@@ -0,0 +1,4 @@
+const { runCli } = require("./lib/cli");
+
+// Same as `spotlights validate`, kept for the npm scripts and workflows
+runCli(["validate", ...process.argv.slice(2)]);
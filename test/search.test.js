@@ -0,0 +1,63 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { searchTitles, resolveTitleId } = require("../scripts/lib/search");
+
+const NOW = new Date("2026-10-14T12:00:00Z");
+
+const movie = (id, title, extra = {}) => ({ id, title, ...extra });
+const data = {
+  venues: {},
+  movies: {
+    550: movie("550", "Fight Club", { year: 1999 }),
+    530915: movie("530915", "1917", { year: 2019 }),
+    "097696a9": movie("097696a9", "Alien Double Bill", {
+      includedMovies: [movie("348", "Alien"), movie("679", "Aliens")],
+    }),
+  },
+};
+
+describe("resolveTitleId", () => {
+  const resolve = (query, type = "movie") =>
+    resolveTitleId(data, query, { type, now: NOW });
+
+  it("uses a movie, program or included movie ID as is", () => {
+    assert.equal(resolve("550"), "550");
+    assert.equal(resolve("097696a9", "program"), "097696a9");
+    assert.equal(resolve("348"), "348");
+  });
+
+  it("searches titles for a number that isn't an ID", () => {
+    assert.equal(resolve("1917"), "530915");
+  });
+
+  it("searches titles for a query that doesn't look like an ID", () => {
+    assert.equal(resolve("fight club"), "550");
+  });
+
+  it("fails when an ID-like query matches no ID or title", () => {
+    assert.throws(
+      () => resolve("4242"),
+      /No movie found with ID or title 4242/,
+    );
+  });
+
+  it("lists the matches when a title is ambiguous", () => {
+    assert.throws(() => resolve("alie"), /"alie" matches \d+ movies/);
+  });
+});
+
+describe("searchTitles", () => {
+  it("finds numeric titles", () => {
+    const [match] = searchTitles(data, "1917", { now: NOW });
+    assert.equal(match.id, "530915");
+    assert.equal(match.score, 1);
+  });
+
+  it("matches programs on their films' titles", () => {
+    const matches = searchTitles(data, "aliens", { type: "program", now: NOW });
+    assert.deepEqual(
+      matches.map((match) => match.id),
+      ["097696a9"],
+    );
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  chunkForThread,
+  THREAD_SEPARATOR,
+} = require("../scripts/lib/social-text");
+const {
+  countGraphemes,
+  countTwitterLength,
+} = require("../scripts/lib/text-length");
+
+// Social text laid out like generateSocialText: header, venues and footer
+const socialText = (venueSections, footer = "#LondonCinema") =>
+  `🎬 LAST CHANCE! 🎬\n\nCatch them before they're gone\n\n---\n\n${venueSections.join("\n\n")}\n\n---\n\n${footer}`;
+const venueSection = (heading, lines) =>
+  [heading, ...lines.map((line) => `   🎬 ${line}`)].join("\n");
+const filmLines = (count) =>
+  Array.from(
+    { length: count },
+    (_, i) => `Film Number ${i + 1} - Saturday 17th at 20:24`,
+  );
+
+/**
+ * Split into posts, checking each is within the limit with its counter
+ */
+function chunk(text, maxLength, countLength = (post) => post.length) {
+  const posts = chunkForThread(text, { maxLength, countLength }).split(
+    THREAD_SEPARATOR,
+  );
+  posts.forEach((post, i) => {
+    assert.ok(
+      countLength(post) <= maxLength,
+      `post ${i + 1} is ${countLength(post)} characters:\n${post}`,
+    );
+    assert.ok(post.endsWith(`\n(${i + 1}/${posts.length})`));
+  });
+  return posts;
+}
+const withoutCounter = (post) => post.replace(/\n\(\d+\/\d+\)$/, "");
+
+describe("chunkForThread", () => {
+  it("puts the header first and the footer last", () => {
+    const posts = chunk(
+      socialText([venueSection("📍 Rio @riocinema", filmLines(2))]),
+      280,
+    );
+    assert.equal(posts.length, 3);
+    assert.match(posts[0], /^🎬 LAST CHANCE! 🎬/);
+    assert.match(posts[1], /^📍 Rio @riocinema\n {3}🎬 Film Number 1/);
+    assert.match(posts[2], /^#LondonCinema/);
+  });
+
+  it("keeps venues together where they fit", () => {
+    const posts = chunk(
+      socialText([
+        venueSection("📍 Rio", filmLines(1)),
+        venueSection("📍 Castle", filmLines(1)),
+      ]),
+      280,
+    );
+    assert.equal(posts.length, 3);
+    assert.match(posts[1], /📍 Rio[\s\S]*📍 Castle/);
+  });
+
+  it("repeats an overlong venue's heading without its handle", () => {
+    const lines = filmLines(20);
+    const posts = chunk(
+      socialText([venueSection("📍 Rio @riocinema", lines)]),
+      200,
+    );
+    const venuePosts = posts.slice(1, -1);
+    assert.ok(venuePosts.length > 1);
+    assert.match(venuePosts[0], /^📍 Rio @riocinema\n/);
+    venuePosts.slice(1).forEach((post) => {
+      assert.match(post, /^📍 Rio \(cont\.\)\n {3}🎬 Film Number/);
+    });
+
+    // Every film line is in one post, whole
+    const postedLines = venuePosts
+      .flatMap((post) => withoutCounter(post).split("\n"))
+      .filter((line) => line.startsWith("   🎬"));
+    assert.deepEqual(
+      postedLines,
+      lines.map((line) => `   🎬 ${line}`),
+    );
+  });
+
+  it("shortens an overlong line and keeps it with its heading", () => {
+    const title = "A Very Long Title ".repeat(20).trim();
+    const posts = chunk(
+      socialText([venueSection("📍 Rio @riocinema", [title])]),
+      100,
+    );
+    const venuePost = withoutCounter(posts[1]);
+    assert.match(venuePost, /^📍 Rio @riocinema\n {3}🎬 A Very Long Title/);
+    assert.ok(venuePost.endsWith("…"));
+    // Shortened at a word break
+    assert.match(venuePost, /Title…$|Long…$|Very…$|A…$/);
+  });
+
+  it("never posts a venue heading on its own", () => {
+    const heading = `📍 ${"The Extremely Long Cinema Name ".repeat(4).trim()} @handle`;
+    const posts = chunk(socialText([venueSection(heading, filmLines(6))]), 100);
+    posts.forEach((post) => {
+      const lines = withoutCounter(post).split("\n");
+      if (lines[0].startsWith("📍")) {
+        assert.ok(lines.length > 1, `heading on its own:\n${post}`);
+      }
+    });
+  });
+
+  it("shortens the header and footer when they're over the limit", () => {
+    const posts = chunk(
+      socialText(
+        [venueSection("📍 Rio", filmLines(1))],
+        `💡 ${"Pro tip words ".repeat(30)}`,
+      ),
+      80,
+    );
+    assert.ok(withoutCounter(posts[posts.length - 1]).endsWith("…"));
+  });
+
+  it("counts graphemes, without splitting an emoji", () => {
+    const family = "👨‍👩‍👧‍👦";
+    const lines = [`${family} `.repeat(60).trim()];
+    const text = socialText([venueSection("📍 Rio", lines)]);
+    const posts = chunk(text, 300, countGraphemes);
+
+    // 60 families are 659 UTF-16 code units but 119 graphemes
+    assert.equal(posts.length, 3);
+    assert.ok(posts[1].includes(lines[0]));
+
+    const shortPosts = chunk(text, 60, countGraphemes);
+    const shortened = withoutCounter(shortPosts[1]).split("\n")[1];
+    assert.ok(shortened.endsWith("…"));
+    assert.ok(
+      shortened
+        .slice(0, -1)
+        .trim()
+        .split(" ")
+        .slice(1)
+        .every((emoji) => emoji === family),
+    );
+  });
+
+  it("counts each link as 23 characters on Twitter", () => {
+    const link = `https://clusterflick.com/movies/${"a".repeat(80)}`;
+    const lines = Array.from({ length: 6 }, (_, i) => `Film ${i} ${link}`);
+    const text = socialText([venueSection("📍 Rio", lines)]);
+
+    const posts = chunk(text, 280, countTwitterLength);
+    // Each line counts as 36, so all 6 fit in one post with the heading
+    assert.equal(posts.length, 3);
+    assert.ok(posts[1].length > 280);
+    assert.ok(lines.every((line) => posts[1].includes(line)));
+  });
+
+  it("makes room for counters longer than the reserve", () => {
+    // Digits count as 3, so "\n(12/14)" is 16 characters
+    const countLength = (post) =>
+      [...post].reduce((sum, c) => sum + (/\d/.test(c) ? 3 : 1), 0);
+    const posts = chunk(
+      socialText([venueSection("📍 Rio", filmLines(12))]),
+      140,
+      countLength,
+    );
+    assert.ok(posts.length >= 10);
+  });
+
+  it("rejects a limit with no room beside the counters", () => {
+    assert.throws(
+      () => chunkForThread(socialText([]), { maxLength: 10 }),
+      /leaves no room beside the post counters/,
+    );
+  });
+});
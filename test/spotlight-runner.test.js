@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runSpotlight } = require("../scripts/lib/spotlight-runner");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const NOW = new Date("2026-10-14T12:00:00Z");
+const OPTIONAL_FILES = ["letterboxd.json", "rottentomatoes.json"];
+
+/**
+ * Data directory with combined data and IMDB ratings, but none of the
+ * optional ratings files
+ */
+function createDataDir(tmpDir) {
+  const dataDir = path.join(tmpDir, "data");
+  ["combined-data/combined-data.json", "matched-data/imdb.json"].forEach(
+    (file) => {
+      fs.mkdirSync(path.dirname(path.join(dataDir, file)), { recursive: true });
+      fs.copyFileSync(path.join(ROOT_DIR, file), path.join(dataDir, file));
+    },
+  );
+  return dataDir;
+}
+
+/**
+ * Run a spotlight quietly, returning the result and every file path the
+ * data loader checked or read
+ */
+function run(t, options) {
+  const touched = [];
+  const track = (name) => {
+    const original = fs[name];
+    t.mock.method(fs, name, (filePath, ...rest) => {
+      touched.push(String(filePath));
+      return original.call(fs, filePath, ...rest);
+    });
+  };
+  track("existsSync");
+  track("readFileSync");
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+
+  const result = runSpotlight("last-chance", { seed: "abc123", ...options });
+  return { result, touched };
+}
+
+const isOptionalFile = (filePath) =>
+  OPTIONAL_FILES.includes(path.basename(filePath));
+
+describe("runSpotlight without the optional ratings files", () => {
+  let tmpDir;
+  let dataDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "spotlight-runner-"));
+    dataDir = createDataDir(tmpDir);
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("doesn't touch them when no films are shown", (t) => {
+    const { result, touched } = run(t, {
+      now: new Date("2036-01-01T12:00:00Z"),
+      dataDir,
+      dryRun: true,
+    });
+    assert.equal(result.movies.length, 0);
+    assert.deepEqual(touched.filter(isOptionalFile), []);
+  });
+
+  it("leaves their ratings out of the manifest", (t) => {
+    const outDir = path.join(tmpDir, "out");
+    const { result } = run(t, { now: NOW, dataDir, outDir });
+    assert.ok(result.movies.length > 0);
+
+    const manifest = JSON.parse(fs.readFileSync(result.manifestPath, "utf8"));
+    manifest.movies.forEach(({ ratings }) => {
+      assert.equal(ratings.letterboxd, null);
+      assert.equal(ratings.rottenTomatoesCritics, null);
+      assert.equal(ratings.rottenTomatoesAudience, null);
+    });
+  });
+});
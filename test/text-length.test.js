@@ -0,0 +1,59 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  countCodePoints,
+  countGraphemes,
+  splitGraphemes,
+  countTwitterLength,
+  countMastodonLength,
+} = require("../scripts/lib/text-length");
+
+const family = "👨‍👩‍👧‍👦";
+
+describe("countCodePoints", () => {
+  it("counts an emoji once and a ZWJ sequence by its parts", () => {
+    assert.equal(countCodePoints("🎬"), 1);
+    assert.equal(countCodePoints(family), 7);
+  });
+});
+
+describe("countGraphemes", () => {
+  it("counts what reads as one character once", () => {
+    assert.equal(countGraphemes("🎬 Rio"), 5);
+    assert.equal(countGraphemes(family), 1);
+    assert.equal(countGraphemes("é"), 1);
+  });
+});
+
+describe("splitGraphemes", () => {
+  it("keeps emoji sequences whole", () => {
+    assert.deepEqual(splitGraphemes(`a${family}b`), ["a", family, "b"]);
+  });
+});
+
+describe("countTwitterLength", () => {
+  it("counts links as 23 characters", () => {
+    assert.equal(
+      countTwitterLength(`Tickets https://example.com/${"a".repeat(100)}`),
+      8 + 23,
+    );
+    assert.equal(countTwitterLength("Find showtimes at Clusterflick.com"), 41);
+  });
+
+  it("counts emoji and CJK characters as 2", () => {
+    assert.equal(countTwitterLength("🎬"), 2);
+    assert.equal(countTwitterLength(family), 2);
+    assert.equal(countTwitterLength("東京物語"), 8);
+    assert.equal(countTwitterLength("Émigré – 2024"), 13);
+  });
+});
+
+describe("countMastodonLength", () => {
+  it("counts links as 23 and remote mentions by their username", () => {
+    assert.equal(
+      countMastodonLength(`https://example.com/${"a".repeat(100)}`),
+      23,
+    );
+    assert.equal(countMastodonLength("@rio@mastodon.social"), 4);
+  });
+});
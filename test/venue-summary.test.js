@@ -0,0 +1,171 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  groupVenues,
+  formatVenueList,
+  getShowingDuration,
+  getShowingText,
+  summarizeVenues,
+} = require("../scripts/lib/venue-summary");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const NOW = Date.parse("2026-10-14T12:00:00Z");
+
+const venue = (name, groupName, socials) => ({ name, groupName, socials });
+const odeons = (count) =>
+  Array.from({ length: count }, (_, i) => venue(`ODEON ${i + 1}`, "ODEON"));
+
+describe("groupVenues", () => {
+  it("lists each venue when there are few enough", () => {
+    const { items, moreCount } = groupVenues(odeons(3));
+    assert.deepEqual(
+      items.map((item) => item.text),
+      ["ODEON 1", "ODEON 2", "ODEON 3"],
+    );
+    assert.equal(moreCount, 0);
+  });
+
+  it("groups venues sharing a groupName past the limit", () => {
+    const { items } = groupVenues([...odeons(7), venue("BFI Southbank")]);
+    assert.deepEqual(
+      items.map((item) => item.text),
+      ["7 ODEONs", "BFI Southbank"],
+    );
+    assert.equal(items[0].venues.length, 7);
+  });
+
+  it("doesn't add an s to a group name ending in one", () => {
+    const venues = Array.from({ length: 3 }, (_, i) =>
+      venue(`Everyman ${i}`, "Everymans"),
+    );
+    const { items } = groupVenues(venues, { maxDisplayItems: 2 });
+    assert.equal(items[0].text, "3 Everymans");
+  });
+
+  it("counts the venues of the items left out", () => {
+    const venues = [
+      ...odeons(3),
+      ...["A", "B", "C", "D"].map((name) => venue(name)),
+    ];
+    const { items, moreCount } = groupVenues(venues, { maxDisplayItems: 3 });
+    assert.deepEqual(
+      items.map((item) => item.text),
+      ["3 ODEONs", "A"],
+    );
+    assert.equal(moreCount, 3);
+  });
+});
+
+describe("formatVenueList", () => {
+  it("joins two venues with &", () => {
+    assert.equal(
+      formatVenueList([venue("Garden Cinema"), venue("BFI Southbank")]),
+      "BFI Southbank & Garden Cinema",
+    );
+  });
+
+  it("joins three or more with commas and a final &", () => {
+    assert.equal(
+      formatVenueList([venue("C"), venue("A"), venue("B")]),
+      "A, B, & C",
+    );
+  });
+
+  it("adds handles for the platform, not for groups", () => {
+    const venues = [
+      ...odeons(7),
+      venue("BFI Southbank", null, { twitter: "BFI", bluesky: "bfi.org.uk" }),
+    ];
+    assert.equal(
+      formatVenueList(venues, { format: "handles", platform: "twitter" }),
+      "7 ODEONs & BFI Southbank @BFI",
+    );
+    assert.equal(
+      formatVenueList(venues, { format: "handles", platform: "bluesky" }),
+      "7 ODEONs & BFI Southbank @bfi.org.uk",
+    );
+    assert.equal(
+      formatVenueList(venues, { format: "handles", platform: "mastodon" }),
+      "7 ODEONs & BFI Southbank",
+    );
+  });
+
+  it("escapes names in the html format", () => {
+    assert.equal(
+      formatVenueList([venue("Rio & Co")], { format: "html" }),
+      '<span class="venue-name">Rio &amp; Co</span>',
+    );
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(
+      () => formatVenueList([], { format: "markdown" }),
+      /Unknown venue list format "markdown"/,
+    );
+  });
+});
+
+describe("getShowingDuration", () => {
+  const durationIn = (days) => getShowingDuration(NOW + days * DAY_MS, NOW);
+
+  it("describes how long until the last performance", () => {
+    assert.equal(durationIn(1), "the next 1 day");
+    assert.equal(durationIn(3), "the next 3 days");
+    assert.equal(durationIn(5), "the next week");
+    assert.equal(durationIn(10), "the next 2 weeks");
+    assert.equal(durationIn(20), "the next 3 weeks");
+    assert.equal(durationIn(30), "the next month");
+    assert.equal(durationIn(50), "the next 2 months");
+    assert.equal(durationIn(120), "the next 4 months");
+  });
+
+  it("is empty without upcoming performances", () => {
+    assert.equal(durationIn(0), "");
+    assert.equal(durationIn(-2), "");
+  });
+});
+
+describe("getShowingText", () => {
+  it("counts performances over the duration", () => {
+    assert.equal(
+      getShowingText(
+        { performanceCount: 4, duration: "the next 2 weeks" },
+        "A & B",
+      ),
+      "Showing 4 performances over the next 2 weeks, at A & B",
+    );
+  });
+
+  it("puts a single performance in the duration", () => {
+    assert.equal(
+      getShowingText({ performanceCount: 1, duration: "the next 3 days" }, "A"),
+      "Showing 1 performance in 3 days, at A",
+    );
+  });
+
+  it("falls back to now showing without performances", () => {
+    assert.equal(
+      getShowingText({ performanceCount: 0, duration: "" }, "A"),
+      "Now showing at A",
+    );
+  });
+});
+
+describe("summarizeVenues", () => {
+  it("summarizes upcoming performances only", () => {
+    const movie = {
+      showings: { s1: { venueId: "v1" }, s2: { venueId: "v2" } },
+      performances: [
+        { showingId: "s1", time: NOW + DAY_MS },
+        { showingId: "s1", time: NOW + 9 * DAY_MS },
+        { showingId: "s2", time: NOW - DAY_MS },
+      ],
+    };
+    const venues = { v1: venue("Rio"), v2: venue("Castle") };
+
+    const summary = summarizeVenues(movie, venues, { now: new Date(NOW) });
+    assert.deepEqual(summary.venueNames, ["Rio"]);
+    assert.equal(summary.performanceCount, 2);
+    assert.equal(summary.duration, "the next 2 weeks");
+  });
+});